@@ -0,0 +1,164 @@
+// User-defined price and indicator alerts for the Nifty EMA Tracker
+//
+// An alert compares a metric (price, correction, RSI) against a fixed value or a moving level
+// (fast/slow EMA, 200 DMA). Alerts are edge-triggered: "below" fires when the metric moves below
+// the target, "crosses" needs a sign change between two evaluations. One-shot alerts switch off
+// after firing; repeating ones re-arm once the condition clears. Alerts and the triggered history
+// persist through appStorage (see storage.js). The service worker's background refresh evaluates
+// the same record, so it is read afresh on every call rather than held in memory.
+const ALERT_METRICS = {
+    price: 'Price',
+    correction: 'Correction from ATH (%)',
+    rsi: 'RSI'
+};
+
+const ALERT_OPERATORS = {
+    below: 'below',
+    above: 'above',
+    crosses_above: 'crosses above',
+    crosses_below: 'crosses below'
+};
+
+const ALERT_LEVELS = {
+    ema20: 'Fast EMA',
+    ema50: 'Slow EMA',
+    dma_200: '200 DMA'
+};
+
+class AlertManager {
+    constructor(storageKey = 'nifty_alerts') {
+        this.storageKey = storageKey;
+        this.HISTORY_LIMIT = 100;
+    }
+
+    load() {
+        const stored = appStorage.get(this.storageKey);
+        return { alerts: (stored && stored.alerts) || [], history: (stored && stored.history) || [] };
+    }
+
+    save(state) {
+        appStorage.set(this.storageKey, { alerts: state.alerts, history: state.history });
+    }
+
+    get alerts() {
+        return this.load().alerts;
+    }
+
+    get history() {
+        return this.load().history;
+    }
+
+    // target is a number, or the name of a level from ALERT_LEVELS
+    add({ symbol, metric, operator, target, mode = 'once' }) {
+        if (!(metric in ALERT_METRICS)) throw new Error('Choose what the alert watches');
+        if (!(operator in ALERT_OPERATORS)) throw new Error('Choose an alert condition');
+        if (!(target in ALERT_LEVELS) && !(typeof target === 'number' && isFinite(target))) {
+            throw new Error('Enter a target value');
+        }
+        if (target in ALERT_LEVELS && metric !== 'price') throw new Error('Only price can be compared with an EMA or DMA');
+
+        const alert = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+            symbol,
+            metric,
+            operator,
+            target,
+            mode: mode === 'repeat' ? 'repeat' : 'once',
+            active: true,
+            armed: true,
+            lastDifference: null,
+            createdAt: new Date().toISOString()
+        };
+        const state = this.load();
+        state.alerts = [...state.alerts, alert];
+        this.save(state);
+        return alert;
+    }
+
+    remove(id) {
+        const state = this.load();
+        state.alerts = state.alerts.filter(alert => alert.id !== id);
+        this.save(state);
+    }
+
+    // Re-enable a fired one-shot alert
+    rearm(id) {
+        const state = this.load();
+        const alert = state.alerts.find(item => item.id === id);
+        if (alert) {
+            state.alerts = state.alerts.map(item => (item === alert
+                ? { ...item, active: true, armed: true, lastDifference: null }
+                : item));
+            this.save(state);
+        }
+    }
+
+    clearHistory() {
+        const state = this.load();
+        state.history = [];
+        this.save(state);
+    }
+
+    describe(alert, symbolName = alert.symbol, levelNames = ALERT_LEVELS) {
+        const target = alert.target in ALERT_LEVELS
+            ? levelNames[alert.target]
+            : (alert.metric === 'price'
+                ? alert.target.toLocaleString('en-IN')
+                : `${alert.target}${alert.metric === 'correction' ? '%' : ''}`);
+        return `${symbolName} ${ALERT_METRICS[alert.metric].replace(' (%)', '')} ${ALERT_OPERATORS[alert.operator]} ${target}`;
+    }
+
+    // context: { price, correction, rsi, ema20, ema50, dma_200 } for one symbol; returns the alerts that fired
+    evaluate(symbol, context) {
+        const triggered = [];
+        const isNumber = value => typeof value === 'number' && isFinite(value);
+        // Copies, so the stored record only changes through save()
+        const state = this.load();
+        state.alerts = state.alerts.map(alert => ({ ...alert }));
+        state.history = [...state.history];
+
+        state.alerts.filter(alert => alert.active && alert.symbol === symbol).forEach(alert => {
+            const value = context[alert.metric];
+            const target = alert.target in ALERT_LEVELS ? context[alert.target] : alert.target;
+            if (!isNumber(value) || !isNumber(target)) return;
+
+            const difference = value - target;
+            const previous = alert.lastDifference;
+            let met;
+            switch (alert.operator) {
+                case 'below': met = difference < 0; break;
+                case 'above': met = difference > 0; break;
+                case 'crosses_above': met = previous !== null && previous <= 0 && difference > 0; break;
+                default: met = previous !== null && previous >= 0 && difference < 0;
+            }
+            alert.lastDifference = difference;
+
+            // Level alerts fire on entering the condition; crosses are edges already
+            if (!met) {
+                alert.armed = true;
+                return;
+            }
+            if (!alert.armed) return;
+
+            alert.armed = false;
+            if (alert.mode === 'once') alert.active = false;
+
+            const entry = {
+                alertId: alert.id,
+                symbol,
+                metric: alert.metric,
+                operator: alert.operator,
+                target: alert.target,
+                value,
+                level: target,
+                triggeredAt: new Date().toISOString()
+            };
+            state.history.unshift(entry);
+            triggered.push({ alert, entry });
+        });
+
+        state.history = state.history.slice(0, this.HISTORY_LIMIT);
+        this.save(state);
+        return triggered;
+    }
+}
@@ -1,6 +1,8 @@
 // Enhanced Nifty Investment Tracker with EMA Crossover Analysis
-class NiftyEMATracker {
+// (indicator and signal calculations live in signal-engine.js)
+class NiftyEMATracker extends SignalEngine {
     constructor() {
+        super();
         this.data = null;
         this.historicalData = [];
         this.emaData = {
@@ -8,28 +10,73 @@ class NiftyEMATracker {
             ema50: [],
             crossovers: []
         };
+        this.indicatorData = {
+            rsi: [],
+            sma200: [],
+            ema200: []
+        };
         this.isOnline = navigator.onLine;
         this.refreshInterval = null;
-        this.API_BASE = 'https://query1.finance.yahoo.com/v8/finance/chart/';
-        this.SYMBOL = '^NSEI';
-        
-        // Calculation constants
-        this.THRESHOLDS = {
-            RSI_OVERSOLD: 30,
-            RSI_OVERBOUGHT: 70,
-            PE_ATTRACTIVE: 21,
-            PE_EXPENSIVE: 25,
-            CORRECTION_THRESHOLD: 10,
-            ALL_TIME_HIGH: 26277.35,
-            EMA_PERIOD_20: 20,
-            EMA_PERIOD_50: 50
+        
+        // Indices on the watchlist; SYMBOL is the one the full dashboard is drilled into
+        this.WATCHLIST = [
+            { symbol: '^NSEI', name: 'Nifty 50' },
+            { symbol: '^NSEBANK', name: 'Nifty Bank' },
+            { symbol: '^NSMIDCP', name: 'Nifty Next 50' },
+            { symbol: 'NIFTYMIDCAP150.NS', name: 'Nifty Midcap 150' },
+            { symbol: '^BSESN', name: 'Sensex' }
+        ];
+        this.DEFAULT_SYMBOL = '^NSEI';
+        const savedSymbol = appStorage.get('nifty_symbol');
+        this.SYMBOL = this.WATCHLIST.some(item => item.symbol === savedSymbol) ? savedSymbol : this.DEFAULT_SYMBOL;
+        
+        // Market data source, selectable at runtime (see providers.js)
+        this.providerConfig = MarketDataProviders.loadConfig();
+        this.provider = MarketDataProviders.create(this.providerConfig);
+        
+        // Calculation constants (DEFAULT_THRESHOLDS in signal-engine.js); the user can override
+        // them from the settings panel (see settings.js)
+        this.settings = new StrategySettings(this.DEFAULT_THRESHOLDS);
+        this.THRESHOLDS = this.settings.load();
+        
+        // User-defined rule strategies that vote in the combined signal (see rules.js)
+        this.customStrategies = new CustomStrategyStore();
+        
+        // Opt-in signal change and crossover notifications (see notifications.js)
+        this.notifier = new SignalNotifier();
+        
+        // User-defined price and indicator alerts (see alerts.js)
+        this.alerts = new AlertManager();
+
+        // Calendar days of daily history to request (~270 trading sessions, enough for the 200 DMA)
+        this.HISTORY_DAYS = 400;
+        
+        // Calendar days before the last stored bar that every sync re-reads (see history-sync.js)
+        this.SYNC_OVERLAP_DAYS = 7;
+        
+        // Service worker refresh while the app is closed; the tag matches BACKGROUND_SYNC_TAG in
+        // background-refresh.js
+        this.BACKGROUND_SYNC_TAG = 'nifty-refresh';
+        this.BACKGROUND_REFRESH_INTERVAL = 60 * 60 * 1000; // 1 hour
+        this.historyChangedFrom = null;
+        
+        // Where the daily history came from: { source, at } as described in describeProvenance
+        this.historySource = { source: 'sample', at: null };
+        // Cached data older than this is flagged stale while the market is moving
+        this.STALE_AFTER = 15 * 60 * 1000; // 15 minutes
+
+        // Seeds for the tracked all-time high until a max-range history fetch has run
+        this.ATH_SEEDS = {
+            '^NSEI': { value: 26277.35, date: '2024-09-27' }
         };
+        this.allTimeHigh = this.loadAllTimeHigh();
+
+        // Moving average shown in the 200 DMA card: 'SMA' or 'EMA'
+        this.dmaMode = appStorage.get('nifty_dma_mode') === 'EMA' ? 'EMA' : 'SMA';
 
         // Market hours (IST)
-        this.MARKET_HOURS = {
-            start: { hour: 9, minute: 15 },
-            end: { hour: 15, minute: 30 }
-        };
+        // NSE sessions, holidays and special sessions (see market-calendar.js)
+        this.marketCalendar = new MarketCalendar();
 
         // Enhanced fallback data with historical prices
         this.FALLBACK_DATA = {
@@ -53,23 +100,42 @@ class NiftyEMATracker {
         // Sample historical data for EMA calculation
         this.FALLBACK_HISTORICAL = this.generateFallbackHistoricalData();
 
+        // Purchases recorded by the user (see ledger.js)
+        this.ledger = new InvestmentLedger(this.symbolKey('nifty_ledger'));
+        
+        // Every change of the dashboard's signals, with what the market did next (see journal.js)
+        this.journal = new SignalJournal(this.symbolKey('nifty_journal'));
+        this.JOURNAL_ROWS = 50;
+
+        this.watchlist = new Watchlist(this);
+        
+        // Session bars, intraday EMAs and VWAP (see intraday.js)
+        this.intraday = new IntradayView(this);
+        
+        // Weekly and monthly EMA trend, and the momentum confirmation setting (see timeframes.js)
+        this.timeframes = new TimeframeView(this);
+        
+        // Every past correction, and today's against them (see drawdown.js)
+        this.drawdowns = new DrawdownAnalysis(this);
+
         this.init();
     }
 
     generateFallbackHistoricalData() {
         const data = [];
-        const basePrice = 24000;
+        const days = 300;
         const startDate = new Date();
-        startDate.setDate(startDate.getDate() - 100);
+        startDate.setDate(startDate.getDate() - days);
+        let price = 24000;
 
-        for (let i = 0; i < 100; i++) {
+        for (let i = 0; i < days; i++) {
             const date = new Date(startDate);
             date.setDate(date.getDate() + i);
             
-            // Generate realistic price movement
-            const randomFactor = (Math.random() - 0.5) * 0.03; // ±3% daily movement
-            const trendFactor = i < 50 ? -0.001 : 0.002; // Bear then bull trend
-            const price = basePrice * (1 + (randomFactor + trendFactor) * i / 10);
+            // Generate realistic price movement as a random walk
+            const randomFactor = (Math.random() - 0.5) * 0.02; // ±1% daily movement
+            const trendFactor = i < days / 2 ? -0.0005 : 0.001; // Bear then bull trend
+            price = price * (1 + randomFactor + trendFactor);
             
             data.push({
                 date: date.toISOString().split('T')[0],
@@ -95,21 +161,64 @@ class NiftyEMATracker {
         // Fetch fresh data and historical data
         await Promise.all([
             this.fetchNiftyData(),
-            this.fetchHistoricalData()
+            this.fetchHistoricalData(),
+            this.fetchAllTimeHigh(),
+            this.intraday.refresh(),
+            this.timeframes.refresh(),
+            this.drawdowns.refresh()
         ]);
         
+        this.patchTodayBar();
         this.calculateEMAs();
         this.detectCrossovers();
+        this.calculateIndicators();
         this.updateUI();
         this.setupAutoRefresh();
+        this.startMarketClock();
         
         this.hideLoading();
+        
+        await this.watchlist.refresh();
+        this.notifySignalChanges();
+        this.journalSignalChanges();
+        this.evaluateAlerts();
+        
+        // Opened from a notification: drill into its symbol and section
+        const params = new URLSearchParams(window.location.search);
+        if (params.get('symbol') || window.location.hash) {
+            await this.focusSection(params.get('symbol'), window.location.hash.slice(1));
+        }
     }
 
     setupEventListeners() {
         const refreshBtn = document.getElementById('refreshBtn');
         refreshBtn?.addEventListener('click', () => this.manualRefresh());
 
+        document.getElementById('athReset')?.addEventListener('click', () => this.resetAllTimeHigh());
+
+        const dmaModeToggle = document.getElementById('dmaModeToggle');
+        dmaModeToggle?.addEventListener('click', () => {
+            this.setDMAMode(this.dmaMode === 'SMA' ? 'EMA' : 'SMA');
+            dmaModeToggle.textContent = this.dmaMode;
+        });
+        if (dmaModeToggle) dmaModeToggle.textContent = this.dmaMode;
+
+        this.setupProviderControls();
+        this.setupBacktestControls();
+        this.setupLedgerControls();
+        this.setupJournalControls();
+        this.setupPriceChart();
+        this.setupIntradayControls();
+        this.setupTimeframeControls();
+        this.setupDrawdownControls();
+        this.setupSettingsPanel();
+        this.setupStrategyEditor();
+        this.setupNotificationToggle();
+        this.setupAlertControls();
+        this.setupCalendarImport();
+        this.setupHistoryTransfer();
+        this.setupStorageControls();
+
         window.addEventListener('online', () => this.handleOnlineStatus(true));
         window.addEventListener('offline', () => this.handleOnlineStatus(false));
 
@@ -123,136 +232,1391 @@ class NiftyEMATracker {
         });
     }
 
+    setupProviderControls() {
+        const select = document.getElementById('providerSelect');
+        const location = document.getElementById('providerLocation');
+        const apply = document.getElementById('providerApply');
+        if (!select || !location || !apply) return;
+        
+        const syncLocation = () => {
+            const type = select.value;
+            location.hidden = type === 'yahoo';
+            location.placeholder = type === 'file'
+                ? './data/nifty.csv'
+                : 'http://localhost:8080/v8/finance/chart/';
+            location.value = type === 'file' ? this.providerConfig.fileUrl : this.providerConfig.baseUrl;
+        };
+        
+        select.value = this.providerConfig.type;
+        syncLocation();
+        
+        select.addEventListener('change', syncLocation);
+        apply.addEventListener('click', () => {
+            const config = { ...this.providerConfig, type: select.value };
+            if (select.value === 'file') config.fileUrl = location.value.trim();
+            if (select.value === 'custom') config.baseUrl = location.value.trim();
+            this.setProvider(config);
+        });
+    }
+
+    // Swap the market data source and reload everything from it
+    async setProvider(config) {
+        this.providerConfig = { ...MarketDataProviders.DEFAULT_CONFIG, ...config };
+        this.provider = MarketDataProviders.create(this.providerConfig);
+        MarketDataProviders.saveConfig(this.providerConfig);
+        this.allTimeHigh = this.loadAllTimeHigh();
+        
+        await this.manualRefresh();
+    }
+
+    setupSettingsPanel() {
+        const panel = document.getElementById('settingsPanel');
+        const form = document.getElementById('settingsForm');
+        if (!panel || !form) return;
+        
+        document.getElementById('settingsBtn')?.addEventListener('click', () => {
+            panel.hidden = !panel.hidden;
+            if (!panel.hidden) this.renderSettingsForm();
+        });
+        
+        form.addEventListener('submit', event => {
+            event.preventDefault();
+            const values = {};
+            STRATEGY_SETTINGS_SCHEMA.forEach(field => {
+                const input = form.querySelector(`[name="${field.key}"]`);
+                values[field.key] = input && input.value !== '' ? Number(input.value) : NaN;
+            });
+            
+            try {
+                this.applySettings(this.settings.save(values));
+                panel.hidden = true;
+            } catch (error) {
+                this.showSettingsError(error.message);
+            }
+        });
+        
+        document.getElementById('settingsReset')?.addEventListener('click', () => {
+            this.applySettings(this.settings.reset());
+            this.renderSettingsForm();
+        });
+        
+        document.getElementById('settingsCancel')?.addEventListener('click', () => {
+            panel.hidden = true;
+        });
+    }
+
+    renderSettingsForm() {
+        const fields = document.getElementById('settingsFields');
+        if (!fields) return;
+        
+        fields.innerHTML = STRATEGY_SETTINGS_SCHEMA.map(field => `
+            <label class="settings-field">
+                <span>${field.label}</span>
+                <input class="form-control" type="number" name="${field.key}"
+                       min="${field.min}" max="${field.max}" step="${field.step}"
+                       value="${this.THRESHOLDS[field.key]}" required>
+                <span class="card-meta">Default ${this.DEFAULT_THRESHOLDS[field.key]}</span>
+            </label>
+        `).join('');
+        this.showSettingsError('');
+    }
+
+    showSettingsError(message) {
+        const element = document.getElementById('settingsError');
+        if (element) element.textContent = message;
+    }
+
+    // Recompute everything that depends on the thresholds and redraw
+    applySettings(thresholds) {
+        this.THRESHOLDS = thresholds;
+        this.recalculateHistory();
+    }
+
+    setupStorageControls() {
+        const statusElement = document.getElementById('storageStatus');
+        
+        const showUsage = async () => {
+            const estimate = await appStorage.estimate();
+            if (statusElement && estimate && estimate.quota) {
+                const toMB = bytes => (bytes / (1024 * 1024)).toFixed(1);
+                statusElement.textContent = `Local data ${toMB(estimate.usage)} MB of ${toMB(estimate.quota)} MB`;
+            }
+        };
+        showUsage();
+        
+        appStorage.onError(message => {
+            if (statusElement) {
+                statusElement.textContent = message;
+                statusElement.classList.add('negative');
+            }
+        });
+        
+        document.getElementById('clearLocalData')?.addEventListener('click', async () => {
+            if (!confirm('Delete all locally stored data, including your ledger, alerts, strategies and imported history?')) return;
+            
+            await appStorage.clear();
+            if ('caches' in window) {
+                const names = await caches.keys();
+                await Promise.all(names.map(name => caches.delete(name)));
+            }
+            window.location.reload();
+        });
+    }
+
+    setupHistoryTransfer() {
+        const input = document.getElementById('historyImport');
+        const statusElement = document.getElementById('historyStatus');
+        const setStatus = text => { if (statusElement) statusElement.textContent = text; };
+        
+        document.getElementById('historyExportCSV')?.addEventListener('click', () => this.exportHistory('csv'));
+        document.getElementById('historyExportJSON')?.addEventListener('click', () => this.exportHistory('json'));
+        
+        input?.addEventListener('change', async () => {
+            const file = input.files && input.files[0];
+            if (!file) return;
+            
+            try {
+                const mode = document.getElementById('historyImportMode')?.value || 'merge';
+                const count = await this.importHistory(await file.text(), file.name, mode);
+                setStatus(`Imported ${count} bars (${mode})`);
+            } catch (error) {
+                setStatus(error.message);
+            }
+            input.value = '';
+        });
+        
+        document.getElementById('historyImportRemove')?.addEventListener('click', () => {
+            if (!this.loadImportedHistory()) {
+                setStatus('No imported history to remove');
+                return;
+            }
+            this.removeImportedHistory();
+            setStatus('Imported history removed');
+        });
+    }
+
+    // One row per daily bar with the indicator values computed for that day
+    buildExportRows() {
+        const bars = this.historicalData;
+        const fastPeriod = this.THRESHOLDS.EMA_PERIOD_20;
+        const slowPeriod = this.THRESHOLDS.EMA_PERIOD_50;
+        const byDate = series => new Map(series.map(point => [point.date, point.value]));
+        const rsi = byDate(this.indicatorData.rsi);
+        const sma200 = byDate(this.indicatorData.sma200);
+        const ema200 = byDate(this.indicatorData.ema200);
+        const crossovers = new Map(this.emaData.crossovers.map(crossover => [crossover.date, crossover.type]));
+        const round = value => (typeof value === 'number' ? Math.round(value * 100) / 100 : null);
+        
+        return bars.map((bar, i) => ({
+            date: bar.date,
+            open: bar.open,
+            high: bar.high,
+            low: bar.low,
+            close: bar.close,
+            volume: bar.volume,
+            ema_fast: i >= fastPeriod - 1 ? round(this.emaData.ema20[i - fastPeriod + 1]) : null,
+            ema_slow: i >= slowPeriod - 1 ? round(this.emaData.ema50[i - slowPeriod + 1]) : null,
+            rsi: round(rsi.get(bar.date)),
+            sma_200: round(sma200.get(bar.date)),
+            ema_200: round(ema200.get(bar.date)),
+            crossover: crossovers.get(bar.date) || null
+        }));
+    }
+
+    exportHistory(format) {
+        const rows = this.buildExportRows();
+        const baseName = `${this.SYMBOL.replace(/[^A-Za-z0-9]+/g, '')}-history-${this.getTodayIST()}`;
+        const content = format === 'json'
+            ? HistoryTransfer.toJSON(rows, {
+                symbol: this.SYMBOL,
+                exported_at: new Date().toISOString(),
+                ema_periods: { fast: this.THRESHOLDS.EMA_PERIOD_20, slow: this.THRESHOLDS.EMA_PERIOD_50 },
+                rsi_period: this.THRESHOLDS.RSI_PERIOD,
+                dma_period: this.THRESHOLDS.DMA_PERIOD,
+                crossovers: this.emaData.crossovers
+            })
+            : HistoryTransfer.toCSV(rows);
+        
+        const blob = new Blob([content], { type: format === 'json' ? 'application/json' : 'text/csv' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${baseName}.${format}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(link.href);
+    }
+
+    // Validate, store and apply an imported history file; resolves to the number of bars read
+    async importHistory(text, name, mode = 'merge') {
+        const bars = HistoryTransfer.parse(text, name);
+        const previous = this.loadImportedHistory();
+        const imported = mode === 'replace' || !previous
+            ? { mode, bars }
+            : { mode: previous.mode, bars: HistoryTransfer.merge(previous.bars, bars) };
+        
+        const key = this.symbolKey('nifty_imported_history');
+        if (!(await this.cacheData(key, imported))) {
+            // Go back to what was stored rather than keep an import that only lives in memory
+            if (previous) appStorage.set(key, previous);
+            else appStorage.remove(key);
+            throw new Error('The imported history could not be saved in this browser');
+        }
+        
+        // The import is kept apart from the provider's series and merged in on every read, so
+        // sample bars are never mixed in and removing the import restores the provider data
+        const stored = this.loadProviderHistory();
+        if (stored.length === 0) this.historySource = { source: 'imported', at: new Date().toISOString() };
+        this.historicalData = this.mergeImportedHistory(stored);
+        
+        this.recalculateHistory();
+        return bars.length;
+    }
+    
+    // Drop the imported bars and go back to the provider's series alone
+    removeImportedHistory() {
+        appStorage.remove(this.symbolKey('nifty_imported_history'));
+        
+        const record = appStorage.getRecord(this.symbolKey('nifty_historical'));
+        if (record && record.data.length > 0) {
+            this.historicalData = record.data;
+            if (this.historySource.source === 'imported') {
+                this.historySource = { source: 'cached', at: new Date(record.timestamp).toISOString() };
+            }
+        } else {
+            this.historicalData = this.SYMBOL === this.DEFAULT_SYMBOL ? this.FALLBACK_HISTORICAL : [];
+            this.historySource = { source: 'sample', at: null };
+        }
+        this.recalculateHistory();
+    }
+    
+    // Recompute everything derived from the daily series after it was replaced and redraw
+    recalculateHistory() {
+        this.emaData = { ema20: [], ema50: [], crossovers: [] };
+        this.calculateEMAs();
+        this.detectCrossovers();
+        this.calculateIndicators();
+        this.updateUI();
+        this.watchlist.refresh();
+    }
+    
+    // The provider's daily series as stored, without imported bars
+    loadProviderHistory(symbol = this.SYMBOL) {
+        return appStorage.get(this.symbolKey('nifty_historical', symbol)) || [];
+    }
+
+    loadImportedHistory(symbol = this.SYMBOL) {
+        const imported = appStorage.get(this.symbolKey('nifty_imported_history', symbol));
+        return imported && imported.bars.length > 0 ? imported : null;
+    }
+
+    // Imported bars take precedence; after a replace import only newer provider bars are appended
+    mergeImportedHistory(bars) {
+        const imported = this.loadImportedHistory();
+        if (!imported) return bars;
+        
+        if (imported.mode === 'replace') {
+            const lastDate = imported.bars[imported.bars.length - 1].date;
+            return [...imported.bars, ...bars.filter(bar => bar.date > lastDate)];
+        }
+        return HistoryTransfer.merge(bars, imported.bars);
+    }
+
+    setupStrategyEditor() {
+        const form = document.getElementById('strategyForm');
+        const list = document.getElementById('strategyList');
+        if (!form || !list) return;
+        
+        const variables = document.getElementById('strategyVariables');
+        if (variables) {
+            variables.innerHTML = Object.entries(RULE_VARIABLES)
+                .map(([name, description]) => `<code title="${description}">${name}</code>`)
+                .join(' ');
+        }
+        
+        form.addEventListener('submit', event => {
+            event.preventDefault();
+            const errorElement = document.getElementById('strategyError');
+            
+            // One rule per line, optionally prefixed with a weight: "2 | rsi < 35"
+            const rules = (form.elements.rules.value || '').split('\n')
+                .map(line => line.trim())
+                .filter(line => line !== '')
+                .map(line => {
+                    const match = line.match(/^(\d+(?:\.\d+)?)\s*\|\s*(.+)$/);
+                    return match
+                        ? { weight: parseFloat(match[1]), expression: match[2] }
+                        : { weight: 1, expression: line };
+                });
+            
+            try {
+                this.customStrategies.add({
+                    name: form.elements.name.value,
+                    rules,
+                    buyScore: parseFloat(form.elements.buyScore.value) / 100,
+                    weight: parseFloat(form.elements.weight.value)
+                });
+                form.reset();
+                if (errorElement) errorElement.textContent = '';
+                this.renderStrategyList();
+                this.updateInvestmentSignals();
+            } catch (error) {
+                if (errorElement) errorElement.textContent = error.message;
+            }
+        });
+        
+        list.addEventListener('click', event => {
+            const removeButton = event.target.closest('[data-remove-strategy]');
+            const toggleButton = event.target.closest('[data-toggle-strategy]');
+            if (removeButton) this.customStrategies.remove(removeButton.dataset.removeStrategy);
+            if (toggleButton) this.customStrategies.toggle(toggleButton.dataset.toggleStrategy);
+            if (removeButton || toggleButton) {
+                this.renderStrategyList();
+                this.updateInvestmentSignals();
+            }
+        });
+        
+        this.renderStrategyList();
+    }
+
+    renderStrategyList() {
+        const list = document.getElementById('strategyList');
+        if (!list) return;
+        
+        const strategies = this.customStrategies.strategies;
+        if (strategies.length === 0) {
+            list.innerHTML = '<p class="card-meta">No custom strategies yet.</p>';
+            return;
+        }
+        
+        list.innerHTML = strategies.map(strategy => `
+            <div class="condition">
+                <span class="condition-text">
+                    ${this.escapeHTML(strategy.name)}
+                    <span class="card-meta">${strategy.rules.length} rule${strategy.rules.length === 1 ? '' : 's'} · weight ${strategy.weight}</span>
+                </span>
+                <span>
+                    <button class="btn btn-small" data-toggle-strategy="${strategy.id}">${strategy.enabled ? 'Disable' : 'Enable'}</button>
+                    <button class="btn btn-small" data-remove-strategy="${strategy.id}" title="Delete strategy">✕</button>
+                </span>
+            </div>
+        `).join('');
+    }
+
+    setupNotificationToggle() {
+        const button = document.getElementById('notifyBtn');
+        if (!button) return;
+        
+        if (!SignalNotifier.isSupported()) {
+            button.hidden = true;
+            return;
+        }
+        
+        const sync = () => {
+            button.textContent = this.notifier.enabled ? '🔔 Alerts On' : '🔕 Alerts Off';
+            button.classList.toggle('btn-refresh', this.notifier.enabled);
+        };
+        
+        button.addEventListener('click', async () => {
+            if (this.notifier.enabled) {
+                this.notifier.disable();
+            } else {
+                try {
+                    await this.notifier.enable();
+                    this.notifySignalChanges();
+                } catch (error) {
+                    console.error('Error enabling notifications:', error);
+                    button.title = error.message;
+                }
+            }
+            sync();
+        });
+        sync();
+    }
+
+    // Hand the latest signals for every watched symbol to the notifier
+    notifySignalChanges() {
+        if (!this.notifier.enabled) return;
+        
+        const reportError = error => console.error('Error sending signal notification:', error);
+        this.WATCHLIST.forEach(item => {
+            if (item.symbol === this.SYMBOL) {
+                // Sample data is not a real signal change
+                if (this.isSampleData()) return;
+                const crossovers = this.emaData.crossovers;
+                this.notifier.check(item.symbol, item.name, this.calculateInvestmentSignals(),
+                    crossovers.length > 0 ? crossovers[crossovers.length - 1] : null).catch(reportError);
+            } else {
+                const entry = this.watchlist.entries[item.symbol];
+                if (!entry || !entry.analysis) return;
+                this.notifier.check(item.symbol, item.name, entry.analysis.signals, entry.analysis.emaTrend.lastCrossover)
+                    .catch(reportError);
+            }
+        });
+    }
+
+    // Journal signal changes for every watched symbol (see journal.js)
+    journalSignalChanges() {
+        let recorded = false;
+        this.WATCHLIST.forEach(item => {
+            if (item.symbol === this.SYMBOL) {
+                // Sample data never said anything
+                if (this.isSampleData()) return;
+                recorded = Boolean(this.journal.record(this.calculateInvestmentSignals(), {
+                    price: this.data.current_price,
+                    date: this.data.market_date || this.getTodayIST()
+                })) || recorded;
+            } else {
+                const entry = this.watchlist.entries[item.symbol];
+                if (!entry || !entry.data || !entry.analysis) return;
+                new SignalJournal(this.symbolKey('nifty_journal', item.symbol)).record(entry.analysis.signals, {
+                    price: entry.data.current_price,
+                    date: entry.data.market_date || this.getTodayIST()
+                });
+            }
+        });
+        if (recorded) this.renderJournal();
+    }
+    
+    setupJournalControls() {
+        document.getElementById('journalDate')?.addEventListener('change', () => this.renderJournalComparison());
+        document.getElementById('journalClear')?.addEventListener('click', () => {
+            if (!confirm(`Delete the signal journal for ${this.getSymbolName()}?`)) return;
+            this.journal.clear();
+            this.renderJournal();
+        });
+        this.renderJournal();
+    }
+    
+    // Change after 1, 3, 6 and 12 months as table cells; -- until the history gets there
+    renderOutcomeCells(outcome) {
+        return Object.values(outcome).map(result => (result
+            ? `<td class="${result.change >= 0 ? 'positive' : 'negative'}" title="${result.date} close ₹${this.formatNumber(result.close)}">${result.change >= 0 ? '+' : ''}${result.change.toFixed(2)}%</td>`
+            : '<td class="neutral">--</td>')).join('');
+    }
+    
+    getSignalTone(signal) {
+        return signal.includes('BUY') ? 'positive' : (signal === 'AVOID' ? 'negative' : 'neutral');
+    }
+    
+    renderJournal() {
+        const container = document.getElementById('journalTimeline');
+        if (!container) return;
+        
+        const entries = this.journal.entries;
+        const bars = this.historySource.source === 'sample' ? [] : this.historicalData;
+        const names = { value: 'Value', momentum: 'Momentum', combined: 'Combined' };
+        const horizons = Object.keys(JOURNAL_HORIZONS).map(label => `<th>${label}</th>`).join('');
+        
+        if (entries.length === 0) {
+            container.innerHTML = '<p class="card-meta">No signal changes recorded yet. An entry is added whenever the value, momentum or combined signal changes.</p>';
+        } else {
+            const rows = entries.slice(-this.JOURNAL_ROWS).reverse().map(entry => {
+                const time = new Date(entry.at).toLocaleTimeString('en-IN', { timeZone: 'Asia/Kolkata', hour: '2-digit', minute: '2-digit' });
+                const change = entry.previous
+                    ? entry.changed.map(name => `${names[name]}: ${entry.previous[name]} → <span class="${this.getSignalTone(entry.signals[name])}">${entry.signals[name]}</span>`).join('<br>')
+                    : `First recorded: <span class="${this.getSignalTone(entry.signals.combined)}">${entry.signals.combined}</span>`;
+                const flipped = entry.flipped
+                    .map(key => `${JOURNAL_CONDITIONS[key]} ${entry.conditions[key] ? '✓' : '✗'}`)
+                    .join(', ');
+                
+                return `
+                    <tr>
+                        <td>${entry.date}<br><span class="card-meta">${time} IST</span></td>
+                        <td>₹${this.formatNumber(entry.price)}</td>
+                        <td>${change}</td>
+                        <td>${flipped || '--'}</td>
+                        ${this.renderOutcomeCells(this.journal.outcome(entry.date, entry.price, bars))}
+                    </tr>
+                `;
+            }).join('');
+            
+            container.innerHTML = `
+                <table class="data-table">
+                    <thead>
+                        <tr><th>When</th><th>Price</th><th>Signal Change</th><th>Conditions Flipped</th>${horizons}</tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+                ${entries.length > this.JOURNAL_ROWS ? `<p class="card-meta">Showing the latest ${this.JOURNAL_ROWS} of ${entries.length} entries</p>` : ''}
+            `;
+        }
+        this.renderJournalComparison();
+    }
+    
+    // What the journal said on a chosen day against the market over the following months
+    renderJournalComparison() {
+        const container = document.getElementById('journalCompare');
+        const date = document.getElementById('journalDate')?.value;
+        if (!container) return;
+        if (!date) {
+            container.innerHTML = '';
+            return;
+        }
+        
+        const bars = this.historySource.source === 'sample' ? [] : this.historicalData;
+        const session = bars.filter(bar => bar.date <= date).pop();
+        if (!session) {
+            container.innerHTML = `<p class="card-meta">No daily history on or before ${date}</p>`;
+            return;
+        }
+        
+        const entry = this.journal.entryOn(date);
+        const said = entry
+            ? `<span class="${this.getSignalTone(entry.signals.combined)}">${entry.signals.combined}</span> (value ${entry.signals.value}, momentum ${entry.signals.momentum}, recorded ${entry.date})`
+            : 'nothing yet: the journal starts later';
+        const horizons = Object.keys(JOURNAL_HORIZONS).map(label => `<th>${label}</th>`).join('');
+        
+        container.innerHTML = `
+            <p class="card-meta">On ${date} the dashboard said ${said} · close ₹${this.formatNumber(session.close)} on ${session.date}</p>
+            <table class="data-table">
+                <thead><tr>${horizons}</tr></thead>
+                <tbody><tr>${this.renderOutcomeCells(this.journal.outcome(session.date, session.close, bars))}</tr></tbody>
+            </table>
+        `;
+    }
+    
+    setupAlertControls() {
+        const form = document.getElementById('alertForm');
+        const targetSelect = document.getElementById('alertTarget');
+        const valueInput = document.getElementById('alertValue');
+        if (!form || !targetSelect || !valueInput) return;
+        
+        const syncTarget = () => {
+            valueInput.hidden = targetSelect.value !== 'value';
+            valueInput.required = targetSelect.value === 'value';
+        };
+        targetSelect.addEventListener('change', syncTarget);
+        syncTarget();
+        
+        form.addEventListener('submit', event => {
+            event.preventDefault();
+            const errorElement = document.getElementById('alertError');
+            const target = targetSelect.value === 'value' ? parseFloat(valueInput.value) : targetSelect.value;
+            
+            try {
+                this.alerts.add({
+                    symbol: this.SYMBOL,
+                    metric: document.getElementById('alertMetric')?.value,
+                    operator: document.getElementById('alertOperator')?.value,
+                    target,
+                    mode: document.getElementById('alertMode')?.value
+                });
+                form.reset();
+                syncTarget();
+                if (errorElement) errorElement.textContent = '';
+                
+                // Ask while we still have the click; alerts stay in-page if declined
+                if (SignalNotifier.isSupported() && Notification.permission === 'default') {
+                    Notification.requestPermission();
+                }
+                
+                this.evaluateAlerts();
+            } catch (error) {
+                if (errorElement) errorElement.textContent = error.message;
+            }
+        });
+        
+        document.getElementById('alertList')?.addEventListener('click', event => {
+            const removeButton = event.target.closest('[data-remove-alert]');
+            const rearmButton = event.target.closest('[data-rearm-alert]');
+            if (removeButton) this.alerts.remove(removeButton.dataset.removeAlert);
+            if (rearmButton) this.alerts.rearm(rearmButton.dataset.rearmAlert);
+            if (removeButton || rearmButton) this.evaluateAlerts();
+        });
+        
+        document.getElementById('alertHistoryClear')?.addEventListener('click', () => {
+            this.alerts.clearHistory();
+            this.renderAlerts();
+        });
+        
+        this.renderAlerts();
+    }
+
+    // Indicator values alerts can watch, for the dashboard symbol and every watchlist entry
+    getAlertContext(symbol) {
+        if (symbol === this.SYMBOL) {
+            if (!this.data || this.isSampleData()) return null;
+            const emaTrend = this.getCurrentEMATrend();
+            return {
+                price: this.data.current_price,
+                correction: this.calculateCorrection(),
+                rsi: this.data.rsi,
+                ema20: emaTrend.ema20,
+                ema50: emaTrend.ema50,
+                dma_200: this.data.dma_200
+            };
+        }
+        
+        const entry = this.watchlist.entries[symbol];
+        if (!entry || !entry.data || !entry.analysis) return null;
+        return {
+            price: entry.data.current_price,
+            correction: entry.analysis.correction,
+            rsi: entry.analysis.rsi,
+            ema20: entry.analysis.emaTrend.ema20,
+            ema50: entry.analysis.emaTrend.ema50,
+            dma_200: this.getLatestDMA(this.foldQuoteIntoBars(entry.history, entry.data))
+        };
+    }
+
+    getAlertLevelNames() {
+        return {
+            ema20: `${this.THRESHOLDS.EMA_PERIOD_20} EMA`,
+            ema50: `${this.THRESHOLDS.EMA_PERIOD_50} EMA`,
+            dma_200: `${this.THRESHOLDS.DMA_PERIOD} DMA`
+        };
+    }
+
+    evaluateAlerts() {
+        const symbols = [...new Set(this.alerts.alerts.map(alert => alert.symbol))];
+        
+        symbols.forEach(symbol => {
+            const context = this.getAlertContext(symbol);
+            if (!context) return;
+            
+            this.alerts.evaluate(symbol, context).forEach(({ alert, entry }) => {
+                const description = this.alerts.describe(alert, this.getSymbolName(symbol), this.getAlertLevelNames());
+                if (SignalNotifier.isSupported() && Notification.permission === 'granted') {
+                    this.notifier.show(`🚨 ${description}`, {
+                        body: `${ALERT_METRICS[alert.metric]} at ${this.formatNumber(entry.value)}${alert.mode === 'once' ? ' · alert switched off' : ''}`,
+                        tag: `alert-${alert.id}-${entry.triggeredAt}`,
+                        data: { symbol, section: 'alertsSection' }
+                    });
+                }
+            });
+        });
+        
+        this.renderAlerts();
+    }
+
+    renderAlerts() {
+        const list = document.getElementById('alertList');
+        const history = document.getElementById('alertHistory');
+        const levelNames = this.getAlertLevelNames();
+        
+        if (list) {
+            list.innerHTML = this.alerts.alerts.length === 0
+                ? '<p class="card-meta">No alerts set.</p>'
+                : this.alerts.alerts.map(alert => `
+                    <div class="condition">
+                        <span class="condition-text">
+                            ${this.alerts.describe(alert, this.getSymbolName(alert.symbol), levelNames)}
+                            <span class="card-meta">${alert.mode === 'repeat' ? 'Repeating' : 'One-shot'}</span>
+                        </span>
+                        <span>
+                            <span class="condition-status ${alert.active ? 'met' : 'not-met'}">${alert.active ? 'ACTIVE' : 'FIRED'}</span>
+                            ${alert.active ? '' : `<button class="btn btn-small" data-rearm-alert="${alert.id}">Re-arm</button>`}
+                            <button class="btn btn-small" data-remove-alert="${alert.id}" title="Delete alert">✕</button>
+                        </span>
+                    </div>
+                `).join('');
+        }
+        
+        if (history) {
+            history.innerHTML = this.alerts.history.length === 0
+                ? '<p class="card-meta">No alerts triggered yet.</p>'
+                : `
+                    <table class="data-table">
+                        <thead>
+                            <tr><th>Triggered</th><th>Alert</th><th>Value</th></tr>
+                        </thead>
+                        <tbody>
+                            ${this.alerts.history.map(entry => `
+                                <tr>
+                                    <td>${new Date(entry.triggeredAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}</td>
+                                    <td>${this.alerts.describe(entry, this.getSymbolName(entry.symbol), levelNames)}</td>
+                                    <td>${this.formatNumber(entry.value)}${entry.target in ALERT_LEVELS ? ` vs ${this.formatNumber(entry.level)}` : ''}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                `;
+        }
+    }
+
+    async focusSection(symbol, section) {
+        if (symbol && symbol !== this.SYMBOL) {
+            await this.selectSymbol(symbol);
+        }
+        
+        const target = section ? document.getElementById(section) : null;
+        target?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        window.focus();
+    }
+
+    setupPriceChart() {
+        const canvas = document.getElementById('priceChart');
+        if (!canvas || !canvas.getContext) return;
+        
+        this.priceChart = new PriceChart(canvas, document.getElementById('chartTooltip'));
+        
+        document.querySelectorAll('[data-chart-mode]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.priceChart.setMode(button.dataset.chartMode);
+                document.querySelectorAll('[data-chart-mode]').forEach(other => {
+                    other.classList.toggle('active', other === button);
+                });
+            });
+        });
+        
+        document.getElementById('chartReset')?.addEventListener('click', () => this.priceChart.resetView());
+    }
+
+    setupTimeframeControls() {
+        const select = document.getElementById('momentumConfirmation');
+        select?.addEventListener('change', () => {
+            this.timeframes.setConfirmation(select.value);
+            this.updateUI();
+            this.watchlist.refresh();
+        });
+    }
+
+    setupDrawdownControls() {
+        document.querySelectorAll('[data-drawdown-threshold]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.drawdowns.threshold = Number(button.dataset.drawdownThreshold);
+                this.drawdowns.render();
+            });
+        });
+    }
+
+    setupIntradayControls() {
+        document.querySelectorAll('[data-intraday-interval]').forEach(button => {
+            button.addEventListener('click', async () => {
+                this.intraday.setInterval(button.dataset.intradayInterval);
+                this.intraday.render();
+                await this.intraday.refresh();
+                this.intraday.render();
+                this.updateInvestmentSignals();
+            });
+        });
+    }
+
+    updatePriceChart() {
+        if (!this.priceChart || this.historicalData.length === 0) return;
+        
+        // EMA values start at bar (period - 1); pad the front so they index like the bars
+        const align = (values, period) => new Array(period - 1).fill(null).concat(values);
+        
+        const references = [
+            { label: 'ATH', color: this.priceChart.color('--yellow'), value: this.allTimeHigh.value },
+            { label: '52W High', color: this.priceChart.color('--green'), value: this.data.high_52w },
+            { label: '52W Low', color: this.priceChart.color('--red'), value: this.data.low_52w }
+        ].filter(reference => typeof reference.value === 'number' && reference.value > 0);
+        
+        this.priceChart.setData({
+            bars: this.historicalData,
+            overlays: [
+                { label: `${this.THRESHOLDS.EMA_PERIOD_20} EMA`, color: this.priceChart.color('--blue-light'), values: align(this.emaData.ema20, this.THRESHOLDS.EMA_PERIOD_20) },
+                { label: `${this.THRESHOLDS.EMA_PERIOD_50} EMA`, color: this.priceChart.color('--yellow-light'), values: align(this.emaData.ema50, this.THRESHOLDS.EMA_PERIOD_50) }
+            ],
+            crossovers: this.emaData.crossovers,
+            references
+        });
+    }
+
+    setupBacktestControls() {
+        const runBtn = document.getElementById('backtestRun');
+        runBtn?.addEventListener('click', () => {
+            const mode = document.getElementById('backtestMode')?.value || 'switch';
+            this.runBacktest({ mode });
+        });
+    }
+
+    runBacktest(options) {
+        const container = document.getElementById('backtestResults');
+        if (!container) return;
+        
+        try {
+            const report = new StrategyBacktester(this).run(options);
+            this.renderBacktest(container, report);
+        } catch (error) {
+            console.error('Backtest failed:', error);
+            container.innerHTML = `<p class="negative">${error.message}</p>`;
+        }
+    }
+
+    renderBacktest(container, report) {
+        const labels = {
+            value: '📊 Value',
+            momentum: '⚡ Momentum',
+            combined: '🎯 Combined',
+            buyAndHold: '📦 Buy & Hold'
+        };
+        const colors = {
+            value: 'var(--blue)',
+            momentum: 'var(--yellow)',
+            combined: 'var(--green)',
+            buyAndHold: 'var(--text-muted)'
+        };
+        const percent = value => value === null ? '--' : `${(value * 100).toFixed(2)}%`;
+        
+        const rows = Object.entries(report.results).map(([key, result]) => `
+            <tr>
+                <td><span class="legend-swatch" style="background: ${colors[key]}"></span>${labels[key]}</td>
+                <td class="${result.cagr >= 0 ? 'positive' : 'negative'}">${percent(result.cagr)}</td>
+                <td class="negative">${percent(result.maxDrawdown)}</td>
+                <td>${percent(result.hitRate)}</td>
+                <td>${result.trades}</td>
+            </tr>
+        `).join('');
+        
+        container.innerHTML = `
+            <div class="card-meta">
+                ${this.historySource.source === 'sample' ? '<span class="data-badge sample">Sample data — not real</span>' : ''}
+                ${report.from} → ${report.to} · ${report.sessions} sessions ·
+                ${report.settings.mode === 'periodic'
+                    ? `₹${this.formatNumber(report.settings.contribution)} every ${report.settings.interval} sessions`
+                    : 'all-in / all-out'} · PE held at today's value
+            </div>
+            ${this.renderEquityCurves(report.results, colors)}
+            <table class="data-table">
+                <thead>
+                    <tr><th>Strategy</th><th>CAGR</th><th>Max DD</th><th>Hit Rate</th><th>Trades</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    // NAV of each strategy as an inline SVG polyline
+    renderEquityCurves(results, colors) {
+        const width = 600;
+        const height = 160;
+        const curves = Object.entries(results);
+        const navs = curves.flatMap(([, result]) => result.equityCurve.map(point => point.nav));
+        const min = Math.min(...navs);
+        const max = Math.max(...navs);
+        const range = max - min || 1;
+        
+        const lines = curves.map(([key, result]) => {
+            const points = result.equityCurve.map((point, i) => {
+                const x = (i / Math.max(result.equityCurve.length - 1, 1)) * width;
+                const y = height - ((point.nav - min) / range) * height;
+                return `${x.toFixed(1)},${y.toFixed(1)}`;
+            }).join(' ');
+            return `<polyline points="${points}" fill="none" stroke="${colors[key]}" stroke-width="1.5" />`;
+        }).join('');
+        
+        return `<svg class="equity-curve" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">${lines}</svg>`;
+    }
+
+    setupLedgerControls() {
+        const form = document.getElementById('ledgerForm');
+        const dateInput = document.getElementById('ledgerDate');
+        const priceInput = document.getElementById('ledgerPrice');
+        const lotsTable = document.getElementById('ledgerLots');
+        if (!form || !dateInput || !priceInput) return;
+        
+        dateInput.value = this.getTodayIST();
+        dateInput.max = this.getTodayIST();
+        
+        // Prefill the price for the chosen date unless the user has typed their own
+        const prefillPrice = () => {
+            const price = this.getPriceForDate(dateInput.value);
+            priceInput.value = price !== null ? price.toFixed(2) : '';
+        };
+        dateInput.addEventListener('change', prefillPrice);
+        this.prefillLedgerPrice = () => {
+            if (!priceInput.value) prefillPrice();
+        };
+        
+        form.addEventListener('submit', event => {
+            event.preventDefault();
+            const quantityType = document.getElementById('ledgerQuantityType')?.value;
+            const quantity = parseFloat(document.getElementById('ledgerQuantity')?.value);
+            const errorElement = document.getElementById('ledgerError');
+            
+            try {
+                this.ledger.addLot({
+                    date: dateInput.value,
+                    units: quantityType === 'units' ? quantity : null,
+                    amount: quantityType === 'amount' ? quantity : null,
+                    price: parseFloat(priceInput.value),
+                    signal: this.getSignalForDate(dateInput.value)
+                });
+                form.reset();
+                dateInput.value = this.getTodayIST();
+                prefillPrice();
+                if (errorElement) errorElement.textContent = '';
+                this.updatePortfolio();
+            } catch (error) {
+                if (errorElement) errorElement.textContent = error.message;
+            }
+        });
+        
+        lotsTable?.addEventListener('click', event => {
+            const button = event.target.closest('[data-remove-lot]');
+            if (!button) return;
+            this.ledger.removeLot(button.dataset.removeLot);
+            this.updatePortfolio();
+        });
+    }
+
+    getTodayIST() {
+        return new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+    }
+
+    // Live price for today, otherwise the close of the last session on or before the date
+    getPriceForDate(date) {
+        if (this.data && (date >= this.getTodayIST() || date === this.data.market_date)) {
+            return this.data.current_price;
+        }
+        
+        const bar = this.historicalData.filter(item => item.date <= date).pop();
+        return bar ? bar.close : null;
+    }
+
+    // Combined signal the dashboard would have shown on a date
+    getSignalForDate(date) {
+        if (date >= this.getTodayIST()) {
+            const signals = this.calculateInvestmentSignals();
+            return signals ? signals.combined.signal : null;
+        }
+        
+        const timeline = new StrategyBacktester(this).buildSignalTimeline(this.historicalData);
+        const day = timeline.filter(item => item.date <= date).pop();
+        return day ? day.signals.combined.signal : null;
+    }
+
+    updatePortfolio() {
+        const summaryElement = document.getElementById('ledgerSummary');
+        const lotsElement = document.getElementById('ledgerLots');
+        if (!summaryElement || !lotsElement || !this.data) return;
+        
+        if (this.prefillLedgerPrice) this.prefillLedgerPrice();
+        
+        const summary = this.ledger.summarize(this.data.current_price);
+        const gainClass = summary.gain >= 0 ? 'positive' : 'negative';
+        const percent = value => value === null ? '--' : `${(value * 100).toFixed(2)}%`;
+        
+        summaryElement.innerHTML = `
+            <div class="ema-value">
+                <div class="ema-label">Invested</div>
+                <div class="ema-price">₹${this.formatNumber(summary.invested)}</div>
+            </div>
+            <div class="ema-value">
+                <div class="ema-label">Current Value</div>
+                <div class="ema-price">₹${this.formatNumber(summary.currentValue)}</div>
+            </div>
+            <div class="ema-value">
+                <div class="ema-label">Absolute Return</div>
+                <div class="ema-price ${gainClass}">₹${this.formatNumber(summary.gain)} (${summary.gainPercent.toFixed(2)}%)</div>
+            </div>
+            <div class="ema-value">
+                <div class="ema-label">XIRR</div>
+                <div class="ema-price ${summary.xirr !== null && summary.xirr < 0 ? 'negative' : 'positive'}">${percent(summary.xirr)}</div>
+            </div>
+        `;
+        
+        if (summary.lots.length === 0) {
+            lotsElement.innerHTML = '<p class="card-meta">No purchases recorded yet.</p>';
+            return;
+        }
+        
+        lotsElement.innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr><th>Date</th><th>Units</th><th>Price</th><th>Invested</th><th>Value</th><th>Return</th><th>Signal then</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${summary.lots.map(lot => `
+                        <tr>
+                            <td>${lot.date}</td>
+                            <td>${lot.units.toFixed(4)}</td>
+                            <td>₹${this.formatNumber(lot.price)}</td>
+                            <td>₹${this.formatNumber(lot.amount)}</td>
+                            <td>₹${this.formatNumber(lot.value)}</td>
+                            <td class="${lot.gain >= 0 ? 'positive' : 'negative'}">${lot.gainPercent.toFixed(2)}%</td>
+                            <td>
+                                <span class="condition-status ${lot.signal && lot.signal.includes('BUY') ? 'met' : 'not-met'}">
+                                    ${lot.signal || 'N/A'}
+                                </span>
+                            </td>
+                            <td><button class="btn btn-small" data-remove-lot="${lot.id}" title="Remove lot">✕</button></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
     async registerServiceWorker() {
         if ('serviceWorker' in navigator) {
             try {
-                await navigator.serviceWorker.register('./sw.js');
+                const registration = await navigator.serviceWorker.register('./sw.js');
                 console.log('Service Worker registered successfully');
+                this.registerPeriodicRefresh(registration);
+                
+                // A notification was clicked while this tab was open
+                navigator.serviceWorker.addEventListener('message', event => {
+                    if (event.data && event.data.type === 'notification-click') {
+                        this.focusSection(event.data.symbol, event.data.section);
+                    }
+                });
             } catch (error) {
                 console.error('Service Worker registration failed:', error);
             }
         }
     }
 
+    // Let the service worker refresh and notify while the app is closed (see background-refresh.js).
+    // Periodic sync is only offered to installed apps, and the browser decides how often it runs.
+    async registerPeriodicRefresh(registration) {
+        if (!('periodicSync' in registration) || !navigator.permissions) return;
+        
+        try {
+            const status = await navigator.permissions.query({ name: 'periodic-background-sync' });
+            if (status.state === 'granted') {
+                await registration.periodicSync.register(this.BACKGROUND_SYNC_TAG, { minInterval: this.BACKGROUND_REFRESH_INTERVAL });
+            }
+        } catch (error) {
+            console.error('Periodic background sync unavailable:', error);
+        }
+    }
+
+    // Ask for one background refresh as soon as the connection is back, even if the tab is closed
+    async requestBackgroundRefresh() {
+        if (!('serviceWorker' in navigator)) return;
+        
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            if (registration.sync) await registration.sync.register(this.BACKGROUND_SYNC_TAG);
+        } catch (error) {
+            console.error('Background sync unavailable:', error);
+        }
+    }
+
     async fetchHistoricalData() {
         try {
-            const endDate = Math.floor(Date.now() / 1000);
-            const startDate = endDate - (100 * 24 * 60 * 60); // 100 days ago
-            
-            const url = `${this.API_BASE}${this.SYMBOL}?period1=${startDate}&period2=${endDate}&interval=1d`;
-            const response = await fetch(url);
+            const sync = await this.syncDailyHistory();
+            if (sync.full) {
+                this.emaData = { ema20: [], ema50: [], crossovers: [] };
+            } else if (sync.changedFrom) {
+                this.markHistoryChanged(sync.changedFrom);
+            }
+            // Offline, the service worker answers from its cache and says so
+            this.historySource = sync.provenance || { source: 'live', at: new Date().toISOString() };
+            this.processHistoricalData(sync.bars);
+        } catch (error) {
+            console.error('Error fetching historical data:', error);
             
-            if (!response.ok) throw new Error('Failed to fetch historical data');
+            // Keep working from the stored series; sample data only when there is nothing at all
+            const record = appStorage.getRecord(this.symbolKey('nifty_historical'));
+            const stored = this.mergeImportedHistory(record ? record.data : []);
+            if (stored.length > 0) {
+                this.historicalData = stored;
+                this.historySource = record && record.data.length > 0
+                    ? { source: 'cached', at: new Date(record.timestamp).toISOString() }
+                    : { source: 'imported', at: null };
+            } else {
+                this.historicalData = this.SYMBOL === this.DEFAULT_SYMBOL ? this.FALLBACK_HISTORICAL : [];
+                this.historySource = { source: 'sample', at: null };
+                this.emaData = { ema20: [], ema50: [], crossovers: [] };
+            }
+        }
+    }
+
+    // Fetch the sessions missing from the stored daily series (see history-sync.js)
+    syncDailyHistory(symbol = this.SYMBOL) {
+        return new HistorySync(this.provider, { historyDays: this.HISTORY_DAYS, overlapDays: this.SYNC_OVERLAP_DAYS })
+            .sync(symbol, this.symbolKey('nifty_historical', symbol));
+    }
+
+    // Keep today's still-forming daily bar in step with the live quote. Only the provider's stored
+    // series is patched; the dashboard's series is rebuilt from it with any imported bars
+    patchTodayBar() {
+        const data = this.data;
+        const bars = [...this.loadProviderHistory()];
+        if (!data || data.is_fallback || !data.market_date || bars.length === 0) return;
+        
+        const last = bars[bars.length - 1];
+        if (data.market_date < last.date) return;
+        
+        const price = data.current_price;
+        if (data.market_date === last.date) {
+            if (last.close === price) return;
+            bars[bars.length - 1] = {
+                ...last,
+                close: price,
+                high: Math.max(last.high, data.day_high || price),
+                low: Math.min(last.low, data.day_low || price)
+            };
+        } else {
+            bars.push({
+                date: data.market_date,
+                open: data.open || price,
+                high: data.day_high || price,
+                low: data.day_low || price,
+                close: price,
+                volume: null
+            });
+        }
+        
+        this.markHistoryChanged(data.market_date);
+        appStorage.updateSeries(this.symbolKey('nifty_historical'), bars, data.market_date);
+        this.historicalData = this.mergeImportedHistory(bars);
+    }
+
+    markHistoryChanged(date) {
+        if (!this.historyChangedFrom || date < this.historyChangedFrom) this.historyChangedFrom = date;
+    }
+
+    // Recompute the ATH from the full monthly history, at most once a day. This replaces the tracked
+    // value rather than only raising it, so a bad high from an earlier source does not stick
+    async fetchAllTimeHigh() {
+        if (this.allTimeHigh.checked_at && Date.now() - this.allTimeHigh.checked_at < 24 * 60 * 60 * 1000) {
+            return;
+        }
+        
+        try {
+            const bars = await this.provider.getDailyHistory(this.SYMBOL, { range: 'max', interval: '1mo' });
+            const highest = bars.reduce((best, bar) => (isFinite(bar.high) && bar.high > best.high ? bar : best), { high: 0 });
+            if (!highest.date) throw new Error('Provider returned no history');
             
-            const data = await response.json();
-            this.processHistoricalData(data);
+            this.allTimeHigh = {
+                value: highest.high,
+                date: highest.date,
+                checked_at: Date.now(),
+                provider: MarketDataProviders.id(this.providerConfig)
+            };
+            if (this.data) this.data.all_time_high = highest.high;
             
-            // Cache historical data
-            this.cacheData('nifty_historical', this.historicalData);
+            // Today's quote may be ahead of the monthly bars
+            if (this.data && !this.data.is_fallback && this.data.market_date) {
+                this.updateAllTimeHigh(this.data.day_high, this.data.market_date);
+                this.updateAllTimeHigh(this.data.current_price, this.data.market_date);
+            }
+            this.saveAllTimeHigh();
         } catch (error) {
-            console.error('Error fetching historical data:', error);
-            this.historicalData = this.FALLBACK_HISTORICAL;
+            console.error('Error fetching all-time high:', error);
+        }
+    }
+
+    // Raise the tracked ATH if a new price or high exceeds it; returns true when it moved
+    updateAllTimeHigh(price, date) {
+        if (typeof price !== 'number' || !isFinite(price) || price <= this.allTimeHigh.value) {
+            return false;
+        }
+        
+        this.allTimeHigh.value = price;
+        this.allTimeHigh.date = date;
+        this.saveAllTimeHigh();
+        
+        if (this.data) {
+            this.data.all_time_high = price;
+        }
+        return true;
+    }
+
+    // The stored ATH only counts for the data source it was measured on; another source starts
+    // from the seed until its own max-range history has been read
+    loadAllTimeHigh(symbol = this.SYMBOL) {
+        const stored = appStorage.get(this.symbolKey('nifty_ath', symbol));
+        const seed = this.getATHSeed(symbol);
+        if (stored && stored.provider === MarketDataProviders.id(this.providerConfig) &&
+            (stored.checked_at || stored.value >= seed.value)) {
+            return stored;
         }
+        return { ...seed, checked_at: null, provider: MarketDataProviders.id(this.providerConfig) };
+    }
+
+    // ATH for a symbol that is not on the dashboard: the one measured while it was, or else the
+    // highest high in the max-range monthly history fetched for every watchlist symbol (see
+    // timeframes.js) rather than the seed, which only covers the Nifty 50
+    getWatchlistAllTimeHigh(symbol) {
+        const stored = this.loadAllTimeHigh(symbol);
+        if (stored.checked_at) return stored.value;
+        
+        const monthly = this.timeframes.getLongHistory(symbol).monthly || [];
+        const highs = monthly.map(bar => bar.high).filter(high => typeof high === 'number' && isFinite(high));
+        return Math.max(stored.value, ...highs);
+    }
+
+    getATHSeed(symbol = this.SYMBOL) {
+        return this.ATH_SEEDS[symbol] || { value: 0, date: '1970-01-01' };
+    }
+
+    saveAllTimeHigh() {
+        this.cacheData(this.symbolKey('nifty_ath'), this.allTimeHigh);
+    }
+
+    // Forget the tracked ATH and measure it again from the max-range history
+    async resetAllTimeHigh() {
+        appStorage.remove(this.symbolKey('nifty_ath'));
+        this.allTimeHigh = this.loadAllTimeHigh();
+        if (this.data) this.data.all_time_high = this.allTimeHigh.value;
+        
+        await this.manualRefresh();
     }
 
-    processHistoricalData(data) {
+    processHistoricalData(bars) {
         try {
-            const result = data.chart.result[0];
-            const timestamps = result.timestamp;
-            const quotes = result.indicators.quote[0];
+            const merged = this.mergeImportedHistory(bars);
+            if (merged.length === 0) throw new Error('Provider returned no history');
             
-            this.historicalData = timestamps.map((timestamp, index) => ({
-                date: new Date(timestamp * 1000).toISOString().split('T')[0],
-                close: quotes.close[index],
-                high: quotes.high[index],
-                low: quotes.low[index],
-                open: quotes.open[index],
-                volume: quotes.volume[index]
-            })).filter(item => item.close !== null);
+            this.historicalData = merged;
+            // Imported bars are the user's file, not the source the ATH is measured on
+            bars.forEach(item => this.updateAllTimeHigh(item.high, item.date));
             
         } catch (error) {
             console.error('Error processing historical data:', error);
             this.historicalData = this.FALLBACK_HISTORICAL;
+            this.historySource = { source: 'sample', at: null };
         }
     }
 
     calculateEMAs() {
-        if (this.historicalData.length < 50) {
+        if (this.historicalData.length < this.THRESHOLDS.EMA_PERIOD_50) {
             console.warn('Insufficient historical data for EMA calculation');
             return;
         }
 
-        const closePrices = this.historicalData.map(item => item.close);
+        const bars = this.historicalData;
+        const closePrices = bars.map(item => item.close);
+        const fastPeriod = this.THRESHOLDS.EMA_PERIOD_20;
+        const slowPeriod = this.THRESHOLDS.EMA_PERIOD_50;
+        
+        // Bars up to the last computed one are unchanged unless a sync or live patch said otherwise,
+        // so only the tail is recomputed; anything that rewrites older bars clears emaData first
+        const anchor = this.emaData.anchor;
+        const reusable = anchor && anchor.fast === fastPeriod && anchor.slow === slowPeriod &&
+            bars[anchor.index] && bars[anchor.index].date === anchor.date;
+        let fromIndex = 0;
+        if (reusable) {
+            const changedIndex = this.historyChangedFrom
+                ? bars.findIndex(bar => bar.date >= this.historyChangedFrom)
+                : -1;
+            fromIndex = changedIndex >= 0 ? Math.min(changedIndex, anchor.index + 1) : anchor.index + 1;
+        }
         
-        this.emaData.ema20 = this.calculateEMA(closePrices, this.THRESHOLDS.EMA_PERIOD_20);
-        this.emaData.ema50 = this.calculateEMA(closePrices, this.THRESHOLDS.EMA_PERIOD_50);
+        this.emaData.ema20 = this.extendEMA(reusable ? this.emaData.ema20 : [], closePrices, fastPeriod, fromIndex);
+        this.emaData.ema50 = this.extendEMA(reusable ? this.emaData.ema50 : [], closePrices, slowPeriod, fromIndex);
+        this.emaData.anchor = { index: bars.length - 1, date: bars[bars.length - 1].date, fast: fastPeriod, slow: slowPeriod };
+        this.historyChangedFrom = null;
         
         // Cache EMA data
-        this.cacheData('nifty_ema', this.emaData);
+        this.cacheData(this.symbolKey('nifty_ema'), this.emaData);
     }
 
-    calculateEMA(prices, period) {
-        if (prices.length < period) return [];
+    // Continue an EMA from prices[fromIndex] on, keeping the values for earlier bars
+    extendEMA(values, prices, period, fromIndex) {
+        const keep = fromIndex - period + 1;
+        if (keep < 1 || values.length < keep) return this.calculateEMA(prices, period);
         
         const k = 2 / (period + 1);
-        const emaValues = [];
+        const emaValues = values.slice(0, keep);
+        for (let i = fromIndex; i < prices.length; i++) {
+            emaValues.push((prices[i] * k) + (emaValues[emaValues.length - 1] * (1 - k)));
+        }
+        
+        return emaValues;
+    }
+
+    // Daily bars with the live quote folded in as the latest (still forming) bar
+    getPriceSeries() {
+        return this.foldQuoteIntoBars(this.historicalData, this.data);
+    }
+
+    calculateIndicators() {
+        const series = this.getPriceSeries();
+        const closePrices = series.map(item => item.close);
+        
+        const rsiValues = this.calculateRSI(closePrices, this.THRESHOLDS.RSI_PERIOD);
+        const offset = closePrices.length - rsiValues.length;
+        this.indicatorData.rsi = rsiValues.map((value, index) => ({
+            date: series[index + offset].date,
+            value
+        }));
         
-        // Start with SMA for the first value
-        let sma = 0;
-        for (let i = 0; i < period; i++) {
-            sma += prices[i];
+        if (this.data && rsiValues.length > 0) {
+            this.data.rsi = rsiValues[rsiValues.length - 1];
         }
-        sma = sma / period;
-        emaValues.push(sma);
         
-        // Calculate EMA for remaining values
-        for (let i = period; i < prices.length; i++) {
-            const ema = (prices[i] * k) + (emaValues[emaValues.length - 1] * (1 - k));
-            emaValues.push(ema);
+        const toDatedSeries = values => {
+            const start = closePrices.length - values.length;
+            return values.map((value, index) => ({ date: series[index + start].date, value }));
+        };
+        this.indicatorData.sma200 = toDatedSeries(this.calculateSMA(closePrices, this.THRESHOLDS.DMA_PERIOD));
+        this.indicatorData.ema200 = toDatedSeries(this.calculateEMA(closePrices, this.THRESHOLDS.DMA_PERIOD));
+        
+        if (this.data) {
+            this.data.dma_200 = this.getLatestIndicatorValue(this.getDMAKey());
         }
         
-        return emaValues;
+        // MACD, Bollinger Bands, ATR, Supertrend and Stochastic (see indicators.js); the
+        // previous bar's readings are kept to spot fresh crosses and flips
+        const technical = TechnicalIndicators.compute(series);
+        this.indicatorData.technical = {
+            date: series.length > 0 ? series[series.length - 1].date : null,
+            latest: TechnicalIndicators.valuesAt(technical, series.length - 1),
+            previous: TechnicalIndicators.valuesAt(technical, series.length - 2)
+        };
+        
+        this.cacheData(this.symbolKey('nifty_indicators'), this.indicatorData);
     }
 
-    detectCrossovers() {
-        if (this.emaData.ema20.length < 2 || this.emaData.ema50.length < 2) {
-            return;
+    getDMAKey() {
+        return this.dmaMode === 'EMA' ? 'ema200' : 'sma200';
+    }
+
+    // Last 200 DMA of any daily series in the current mode, for symbols the dashboard has not loaded
+    getLatestDMA(bars) {
+        const closes = bars.map(bar => bar.close);
+        const period = this.THRESHOLDS.DMA_PERIOD;
+        const values = this.dmaMode === 'EMA' ? this.calculateEMA(closes, period) : this.calculateSMA(closes, period);
+        return values.length > 0 ? values[values.length - 1] : null;
+    }
+
+    setDMAMode(mode) {
+        this.dmaMode = mode === 'EMA' ? 'EMA' : 'SMA';
+        appStorage.set('nifty_dma_mode', this.dmaMode);
+        
+        if (this.data) {
+            this.data.dma_200 = this.getLatestIndicatorValue(this.getDMAKey());
+            this.updateUI();
         }
+    }
+
+    // Distance from the selected 200 DMA and how many sessions price has stayed on that side
+    getDMAStatus() {
+        const dmaSeries = this.indicatorData[this.getDMAKey()];
+        if (!this.data || !dmaSeries || dmaSeries.length === 0) return null;
         
-        const crossovers = [];
-        const startIndex = Math.max(this.THRESHOLDS.EMA_PERIOD_50 - this.THRESHOLDS.EMA_PERIOD_20, 1);
+        const closeByDate = {};
+        this.getPriceSeries().forEach(bar => { closeByDate[bar.date] = bar.close; });
         
-        for (let i = startIndex; i < this.emaData.ema20.length; i++) {
-            const current20 = this.emaData.ema20[i];
-            const current50 = this.emaData.ema50[i - startIndex + this.THRESHOLDS.EMA_PERIOD_20 - 1];
-            const prev20 = this.emaData.ema20[i - 1];
-            const prev50 = this.emaData.ema50[i - startIndex + this.THRESHOLDS.EMA_PERIOD_20 - 2];
-            
-            if (!current20 || !current50 || !prev20 || !prev50) continue;
-            
-            let crossoverType = null;
-            
-            // Bullish crossover: 20 EMA crosses above 50 EMA
-            if (prev20 <= prev50 && current20 > current50) {
-                crossoverType = 'BULLISH_CROSS';
-            }
-            // Bearish crossover: 20 EMA crosses below 50 EMA
-            else if (prev20 >= prev50 && current20 < current50) {
-                crossoverType = 'BEARISH_CROSS';
-            }
-            
-            if (crossoverType) {
-                crossovers.push({
-                    date: this.historicalData[i].date,
-                    type: crossoverType,
-                    price: this.historicalData[i].close,
-                    ema20: current20,
-                    ema50: current50
-                });
-            }
+        const value = dmaSeries[dmaSeries.length - 1].value;
+        const above = this.data.current_price > value;
+        
+        let sessions = 0;
+        for (let i = dmaSeries.length - 1; i >= 0; i--) {
+            const close = closeByDate[dmaSeries[i].date];
+            if (close === undefined || (close > dmaSeries[i].value) !== above) break;
+            sessions++;
         }
         
-        this.emaData.crossovers = crossovers;
+        return {
+            value,
+            above,
+            distance: ((this.data.current_price - value) / value) * 100,
+            sessions
+        };
+    }
+
+    detectCrossovers() {
+        if (this.emaData.ema20.length < 2 || this.emaData.ema50.length < 2) {
+            return;
+        }
+        
+        this.emaData.crossovers = this.findCrossovers(
+            this.historicalData,
+            this.emaData.ema20,
+            this.emaData.ema50,
+            this.THRESHOLDS.EMA_PERIOD_20,
+            this.THRESHOLDS.EMA_PERIOD_50
+        );
     }
 
     getCurrentEMATrend() {
@@ -268,161 +1632,171 @@ class NiftyEMATracker {
         
         const current20 = this.emaData.ema20[this.emaData.ema20.length - 1];
         const current50 = this.emaData.ema50[this.emaData.ema50.length - 1];
-        const trend = current20 > current50 ? 'BULLISH' : 'BEARISH';
         
         const lastCrossover = this.emaData.crossovers.length > 0 
             ? this.emaData.crossovers[this.emaData.crossovers.length - 1]
             : null;
-            
-        let daysSinceCross = null;
-        if (lastCrossover) {
-            const crossDate = new Date(lastCrossover.date);
-            const today = new Date();
-            daysSinceCross = Math.floor((today - crossDate) / (1000 * 60 * 60 * 24));
-        }
         
-        return {
-            trend,
-            ema20: current20,
-            ema50: current50,
-            lastCrossover,
-            daysSinceCross
-        };
+        return this.buildEMATrend(current20, current50, lastCrossover, new Date());
     }
 
     async fetchNiftyData() {
         try {
-            const response = await fetch(`${this.API_BASE}${this.SYMBOL}`);
-            
-            if (!response.ok) throw new Error('Failed to fetch data');
-            
-            const data = await response.json();
-            this.processNiftyData(data);
-            this.cacheData('nifty_current', this.data);
+            const quote = await this.provider.getQuote(this.SYMBOL);
+            this.processNiftyData(quote);
+            this.cacheData(this.symbolKey('nifty_current'), this.data);
             
         } catch (error) {
             console.error('Error fetching Nifty data:', error);
-            this.useFallbackData();
+            
+            // The last quote we stored beats sample numbers, however old
+            const record = appStorage.getRecord(this.symbolKey('nifty_current'));
+            if (record && record.data && !record.data.is_fallback) {
+                this.data = { ...record.data, ...this.cachedProvenance(record) };
+            } else {
+                this.useFallbackData();
+            }
         }
     }
 
-    processNiftyData(response) {
+    processNiftyData(quote) {
         try {
-            const result = response.chart.result[0];
-            const meta = result.meta;
+            const marketDate = quote.market_time
+                ? new Date(quote.market_time * 1000).toISOString().split('T')[0]
+                : new Date().toISOString().split('T')[0];
             
-            this.data = {
-                current_price: meta.regularMarketPrice || meta.previousClose,
-                previous_close: meta.previousClose,
-                open: meta.regularMarketOpen || meta.previousClose,
-                high_52w: meta.fiftyTwoWeekHigh,
-                low_52w: meta.fiftyTwoWeekLow,
-                all_time_high: this.THRESHOLDS.ALL_TIME_HIGH,
-                // These would need separate API calls in production
-                pe_ratio: this.FALLBACK_DATA.pe_ratio,
-                rsi: this.FALLBACK_DATA.rsi,
-                dma_200: this.FALLBACK_DATA.dma_200,
-                last_updated: new Date().toISOString()
-            };
+            this.updateAllTimeHigh(quote.day_high, marketDate);
+            this.updateAllTimeHigh(quote.price, marketDate);
             
+            this.data = this.snapshotFromQuote(quote, this.SYMBOL);
         } catch (error) {
             console.error('Error processing Nifty data:', error);
             this.useFallbackData();
         }
     }
 
-    useFallbackData() {
-        this.data = { ...this.FALLBACK_DATA };
-        this.data.last_updated = new Date().toISOString();
-    }
-
-    calculateInvestmentSignals() {
-        if (!this.data) return null;
-        
-        // Value Strategy (Original)
-        const correction = this.calculateCorrection();
-        const valueConditions = {
-            correction: correction <= -this.THRESHOLDS.CORRECTION_THRESHOLD,
-            rsi: this.data.rsi < this.THRESHOLDS.RSI_OVERSOLD,
-            pe: this.data.pe_ratio < this.THRESHOLDS.PE_ATTRACTIVE
-        };
-        
-        const valueSignal = Object.values(valueConditions).every(c => c) ? 'BUY' : 'WAIT';
-        
-        // Momentum Strategy (EMA)
-        const emaTrend = this.getCurrentEMATrend();
-        const momentumConditions = {
-            bullishTrend: emaTrend.trend === 'BULLISH',
-            recentCross: emaTrend.lastCrossover && 
-                        emaTrend.lastCrossover.type === 'BULLISH_CROSS' && 
-                        emaTrend.daysSinceCross < 30,
-            priceAboveEMAs: this.data.current_price > emaTrend.ema20 && 
-                           this.data.current_price > emaTrend.ema50
-        };
-        
-        const momentumSignal = momentumConditions.bullishTrend ? 'BUY' : 
-                              (emaTrend.trend === 'BEARISH' ? 'AVOID' : 'WAIT');
-        
-        // Combined Signal
-        let combinedSignal = 'WAIT';
-        if (valueSignal === 'BUY' && momentumSignal === 'BUY') {
-            combinedSignal = 'STRONG BUY';
-        } else if (valueSignal === 'BUY' || momentumSignal === 'BUY') {
-            combinedSignal = 'BUY';
-        } else if (momentumSignal === 'AVOID') {
-            combinedSignal = 'AVOID';
-        }
+    // Normalized provider quote -> the snapshot shape the dashboard renders
+    snapshotFromQuote(quote, symbol) {
+        const marketDate = quote.market_time
+            ? new Date(quote.market_time * 1000).toISOString().split('T')[0]
+            : null;
+        const isActive = symbol === this.SYMBOL;
         
         return {
-            value: {
-                signal: valueSignal,
-                conditions: valueConditions,
-                description: this.getValueStrategyDescription(valueConditions)
-            },
-            momentum: {
-                signal: momentumSignal,
-                conditions: momentumConditions,
-                description: this.getMomentumStrategyDescription(emaTrend),
-                trend: emaTrend
-            },
-            combined: {
-                signal: combinedSignal,
-                description: this.getCombinedDescription(combinedSignal)
-            }
+            current_price: quote.price,
+            previous_close: quote.previous_close,
+            open: quote.open,
+            day_high: quote.day_high,
+            day_low: quote.day_low,
+            high_52w: quote.high_52w,
+            low_52w: quote.low_52w,
+            all_time_high: isActive ? this.allTimeHigh.value : this.getWatchlistAllTimeHigh(symbol),
+            market_date: marketDate,
+            // Computed from price history in calculateIndicators
+            rsi: isActive ? this.getLatestIndicatorValue('rsi') : null,
+            dma_200: isActive ? this.getLatestIndicatorValue(this.getDMAKey()) : null,
+            // This would need a separate API call in production; only known for Nifty 50
+            pe_ratio: symbol === this.DEFAULT_SYMBOL ? this.FALLBACK_DATA.pe_ratio : null,
+            source: quote.provenance ? quote.provenance.source : 'live',
+            source_time: quote.provenance ? quote.provenance.at : new Date().toISOString(),
+            last_updated: new Date().toISOString()
         };
     }
 
-    getValueStrategyDescription(conditions) {
-        const metCount = Object.values(conditions).filter(c => c).length;
-        if (metCount === 3) return 'All value conditions met - Strong buy opportunity';
-        if (metCount === 2) return 'Most value conditions met - Consider buying';
-        if (metCount === 1) return 'Few conditions met - Wait for better entry';
-        return 'No value conditions met - Avoid buying';
+    getLatestIndicatorValue(name) {
+        const series = this.indicatorData[name];
+        return series && series.length > 0 ? series[series.length - 1].value : null;
     }
 
-    getMomentumStrategyDescription(trend) {
-        if (trend.trend === 'BULLISH') {
-            if (trend.daysSinceCross < 10) {
-                return 'Fresh bullish crossover - Strong momentum';
-            } else if (trend.daysSinceCross < 30) {
-                return 'Bullish trend continues - Good momentum';
-            } else {
-                return 'Extended bullish trend - Monitor for reversal';
-            }
-        } else if (trend.trend === 'BEARISH') {
-            return 'Bearish trend - Avoid new positions';
+    useFallbackData() {
+        // Sample numbers are Nifty 50 shaped; other indices show no data rather than wrong data
+        if (this.SYMBOL !== this.DEFAULT_SYMBOL) {
+            this.data = null;
+            return;
         }
-        return 'Trend unclear - Wait for confirmation';
+        
+        this.data = { ...this.FALLBACK_DATA, is_fallback: true, source: 'sample', source_time: null };
+        this.data.all_time_high = Math.max(this.data.all_time_high, this.allTimeHigh.value);
+        this.data.last_updated = new Date().toISOString();
     }
-
-    getCombinedDescription(signal) {
-        switch (signal) {
-            case 'STRONG BUY': return 'Both strategies bullish - Excellent opportunity';
-            case 'BUY': return 'One strategy bullish - Good opportunity';
-            case 'AVOID': return 'Bearish momentum - Avoid new positions';
-            default: return 'Mixed signals - Wait for clarity';
+    
+    // A stored snapshot read back later: live data becomes cached as of when it was fetched
+    cachedProvenance(record) {
+        const data = record.data;
+        if (data.source && data.source !== 'live') return { source: data.source, source_time: data.source_time };
+        return { source: 'cached', source_time: data.source_time || data.last_updated || new Date(record.timestamp).toISOString() };
+    }
+    
+    getQuoteProvenance(data = this.data) {
+        if (!data) return null;
+        if (data.is_fallback) return { source: 'sample', at: null };
+        return { source: data.source || 'live', at: data.source_time || data.last_updated };
+    }
+    
+    // Indicators and signals mix the daily history with the live quote, so they are only as good
+    // as the weaker of the two
+    getDerivedProvenance() {
+        const order = ['sample', 'stale', 'cached', 'imported', 'file', 'live'];
+        const quote = this.getQuoteProvenance();
+        if (!quote) return this.historySource;
+        return order.indexOf(this.historySource.source) < order.indexOf(quote.source) ? this.historySource : quote;
+    }
+    
+    // Signals computed from sample data are not shown, notified or alerted on
+    isSampleData() {
+        return !this.data || this.data.is_fallback || this.getDerivedProvenance().source === 'sample';
+    }
+    
+    // { label, tone } for a { source, at } provenance; tone is live, cached, stale or sample
+    describeProvenance(provenance, status = this.marketCalendar.getStatus()) {
+        if (!provenance) return null;
+        const age = provenance.at ? Date.now() - new Date(provenance.at).getTime() : null;
+        const ago = age === null ? '' : ` ${this.formatAge(age)}`;
+        // Old data only matters while prices are moving
+        const stale = provenance.source === 'stale' ||
+            (age !== null && age > this.STALE_AFTER && this.isMarketHours(status));
+        
+        switch (provenance.source) {
+            case 'sample': return { label: 'Sample data — not real', tone: 'sample' };
+            case 'file': return { label: 'From file', tone: 'cached' };
+            case 'imported': return { label: 'Imported history', tone: 'cached' };
+            case 'live': return stale
+                ? { label: `Stale · fetched${ago}`, tone: 'stale' }
+                : { label: 'Live', tone: 'live' };
+            default: return { label: `${stale ? 'Stale · cached' : 'Cached'}${ago}`, tone: stale ? 'stale' : 'cached' };
         }
     }
+    
+    formatAge(milliseconds) {
+        const minutes = Math.max(0, Math.round(milliseconds / 60000));
+        if (minutes < 1) return 'just now';
+        if (minutes < 60) return `${minutes} min ago`;
+        const hours = Math.round(minutes / 60);
+        if (hours < 48) return `${hours} h ago`;
+        return `${Math.round(hours / 24)} days ago`;
+    }
+
+    calculateInvestmentSignals() {
+        if (!this.data) return null;
+        
+        return this.evaluateSignals({
+            price: this.data.current_price,
+            open: this.data.open,
+            high: this.data.day_high,
+            low: this.data.day_low,
+            previous_close: this.data.previous_close,
+            correction: this.calculateCorrection(),
+            all_time_high: this.data.all_time_high,
+            high_52w: this.data.high_52w,
+            low_52w: this.data.low_52w,
+            rsi: this.data.rsi,
+            dma_200: this.data.dma_200,
+            pe_ratio: this.data.pe_ratio,
+            technical: this.indicatorData.technical ? this.indicatorData.technical.latest : null,
+            timeframes: this.timeframes.getTrends(),
+            emaTrend: this.getCurrentEMATrend()
+        });
+    }
 
     calculateCorrection() {
         if (!this.data) return 0;
@@ -438,13 +1812,62 @@ class NiftyEMATracker {
         if (!this.data) return;
         
         this.updateMarketData();
+        this.drawdowns.render();
         this.updateTechnicalIndicators();
         this.updateEMAAnalysis();
+        this.timeframes.render();
+        this.updatePriceChart();
+        this.intraday.render();
         this.updateInvestmentSignals();
+        this.renderJournal();
+        this.updatePortfolio();
         this.updateLastUpdated();
+        this.updateProvenance();
+    }
+    
+    // Source and age badge on each section, and a banner when the data is not live
+    updateProvenance(status = this.marketCalendar.getStatus()) {
+        const quote = this.describeProvenance(this.getQuoteProvenance(), status);
+        const derived = this.describeProvenance(this.getDerivedProvenance(), status);
+        const badges = {
+            marketDataBadge: quote,
+            drawdownBadge: this.describeProvenance(this.historySource, status),
+            indicatorsBadge: derived,
+            emaBadge: this.describeProvenance(this.historySource, status),
+            timeframeBadge: this.describeProvenance(this.historySource, status),
+            intradayBadge: this.describeProvenance(this.intraday.getProvenance(), status),
+            signalsBadge: derived
+        };
+        
+        Object.entries(badges).forEach(([id, provenance]) => {
+            const badge = document.getElementById(id);
+            if (!badge) return;
+            badge.hidden = !provenance;
+            if (!provenance) return;
+            badge.className = `data-badge ${provenance.tone}`;
+            badge.textContent = provenance.label;
+        });
+        
+        const banner = document.getElementById('dataBanner');
+        if (!banner) return;
+        // A file or imported history is the user's choice, not a failure worth a banner
+        const sample = this.isSampleData();
+        const fallenBack = derived && (derived.tone === 'stale' || this.getDerivedProvenance().source === 'cached');
+        banner.hidden = !sample && !fallenBack;
+        if (banner.hidden) return;
+        
+        banner.className = `data-banner ${sample ? 'sample' : ''}`;
+        banner.textContent = sample
+            ? 'Showing sample data — not real. Market data could not be loaded and nothing is cached yet, so prices are illustrative and signals are switched off.'
+            : `${this.isOnline ? 'Live data unavailable' : 'Offline'} — ${derived.label}. Signals may not reflect the market right now.`;
     }
 
     updateMarketData() {
+        const symbolName = document.getElementById('symbolName');
+        if (symbolName) {
+            symbolName.textContent = `${this.getSymbolName()} (${this.SYMBOL})`;
+        }
+        
         const elements = {
             currentPrice: document.getElementById('currentPrice'),
             previousClose: document.getElementById('previousClose'),
@@ -479,7 +1902,15 @@ class NiftyEMATracker {
         }
         
         if (elements.allTimeHigh) {
-            elements.allTimeHigh.textContent = `₹${this.formatNumber(this.data.all_time_high)}`;
+            const athDate = new Date(this.allTimeHigh.date);
+            const daysAgo = Math.floor((new Date() - athDate) / (1000 * 60 * 60 * 24));
+            elements.allTimeHigh.innerHTML = `
+                ₹${this.formatNumber(this.data.all_time_high)}
+                <div class="card-meta">
+                    ATH set on ${athDate.toLocaleDateString('en-IN', { year: 'numeric', month: 'short', day: 'numeric' })},
+                    ${daysAgo === 0 ? 'today' : `${daysAgo} day${daysAgo === 1 ? '' : 's'} ago`}
+                </div>
+            `;
         }
         
         if (elements.week52High) {
@@ -493,7 +1924,7 @@ class NiftyEMATracker {
         const correction = this.calculateCorrection();
         if (elements.correction) {
             elements.correction.innerHTML = `
-                <span class="${correction <= -10 ? 'positive' : 'negative'}">
+                <span class="${correction <= -this.THRESHOLDS.CORRECTION_THRESHOLD ? 'positive' : 'negative'}">
                     ${correction.toFixed(2)}%
                 </span>
             `;
@@ -514,33 +1945,94 @@ class NiftyEMATracker {
             peRatio: document.getElementById('peRatio')
         };
         
-        if (elements.rsi) {
-            const rsiClass = this.data.rsi < 30 ? 'positive' : 
-                           (this.data.rsi > 70 ? 'negative' : 'neutral');
+        if (elements.rsi && this.data.rsi === null) {
+            elements.rsi.innerHTML = `<span class="neutral">--</span>`;
+        } else if (elements.rsi) {
+            const rsiClass = this.data.rsi < this.THRESHOLDS.RSI_OVERSOLD ? 'positive' : 
+                           (this.data.rsi > this.THRESHOLDS.RSI_OVERBOUGHT ? 'negative' : 'neutral');
             elements.rsi.innerHTML = `
                 <span class="${rsiClass}">${this.data.rsi.toFixed(2)}</span>
             `;
         }
         
-        if (elements.dma200) {
-            const dmaClass = this.data.current_price > this.data.dma_200 ? 'positive' : 'negative';
+        const dmaLabel = document.getElementById('dmaLabel');
+        if (dmaLabel) {
+            dmaLabel.textContent = `200 Day ${this.dmaMode === 'EMA' ? 'Exponential' : 'Simple'} Moving Average`;
+        }
+        
+        const dmaStatus = this.getDMAStatus();
+        if (elements.dma200 && !dmaStatus) {
+            elements.dma200.innerHTML = `
+                <span class="neutral">--</span>
+                <div class="card-meta">Not enough history for 200 DMA</div>
+            `;
+        } else if (elements.dma200) {
+            const dmaClass = dmaStatus.above ? 'positive' : 'negative';
             elements.dma200.innerHTML = `
-                ₹${this.formatNumber(this.data.dma_200)}
+                ₹${this.formatNumber(dmaStatus.value)}
                 <div class="card-meta ${dmaClass}">
-                    Price ${this.data.current_price > this.data.dma_200 ? 'above' : 'below'} 200 DMA
+                    Price ${dmaStatus.above ? 'above' : 'below'} 200 DMA by ${Math.abs(dmaStatus.distance).toFixed(2)}%
+                    for ${dmaStatus.sessions} session${dmaStatus.sessions === 1 ? '' : 's'}
                 </div>
             `;
         }
         
-        if (elements.peRatio) {
-            const peClass = this.data.pe_ratio < 21 ? 'positive' : 
-                           (this.data.pe_ratio > 25 ? 'negative' : 'neutral');
+        this.updateTechnicalIndicatorCards();
+        
+        if (elements.peRatio && this.data.pe_ratio === null) {
+            elements.peRatio.innerHTML = `<span class="neutral">--</span>`;
+        } else if (elements.peRatio) {
+            const peClass = this.data.pe_ratio < this.THRESHOLDS.PE_ATTRACTIVE ? 'positive' : 
+                           (this.data.pe_ratio > this.THRESHOLDS.PE_EXPENSIVE ? 'negative' : 'neutral');
             elements.peRatio.innerHTML = `
                 <span class="${peClass}">${this.data.pe_ratio.toFixed(2)}</span>
             `;
         }
     }
 
+    updateTechnicalIndicatorCards() {
+        const technical = this.indicatorData.technical;
+        const latest = technical ? technical.latest : {};
+        const readings = technical ? TechnicalIndicators.interpret(latest, technical.previous, this.data.current_price) : {};
+        const format = value => (value === null || value === undefined ? '--' : this.formatNumber(value));
+        
+        const cards = {
+            macdValue: {
+                reading: readings.macd,
+                value: `${format(latest.macd)} <span class="card-meta">signal ${format(latest.macd_signal)} · hist ${format(latest.macd_histogram)}</span>`
+            },
+            bollingerValue: {
+                reading: readings.bollinger,
+                value: `₹${format(latest.bb_lower)} – ₹${format(latest.bb_upper)}`
+            },
+            atrValue: {
+                reading: readings.atr,
+                value: format(latest.atr)
+            },
+            supertrendValue: {
+                reading: readings.supertrend,
+                value: `₹${format(latest.supertrend)}`
+            },
+            stochasticValue: {
+                reading: readings.stochastic,
+                value: `${format(latest.stoch_k)} <span class="card-meta">%D ${format(latest.stoch_d)}</span>`
+            }
+        };
+        
+        Object.entries(cards).forEach(([id, card]) => {
+            const element = document.getElementById(id);
+            if (!element) return;
+            
+            element.innerHTML = card.reading ? `
+                <span class="${card.reading.tone}">${card.value}</span>
+                <div class="card-meta ${card.reading.tone}">${card.reading.text}</div>
+            ` : `
+                <span class="neutral">--</span>
+                <div class="card-meta">Not enough history yet</div>
+            `;
+        });
+    }
+
     updateEMAAnalysis() {
         const trend = this.getCurrentEMATrend();
         const emaSection = document.getElementById('emaAnalysis');
@@ -556,11 +2048,11 @@ class NiftyEMATracker {
         emaSection.innerHTML = `
             <div class="ema-values">
                 <div class="ema-value">
-                    <div class="ema-label">20 EMA</div>
+                    <div class="ema-label">${this.THRESHOLDS.EMA_PERIOD_20} EMA</div>
                     <div class="ema-price positive">₹${this.formatNumber(trend.ema20)}</div>
                 </div>
                 <div class="ema-value">
-                    <div class="ema-label">50 EMA</div>
+                    <div class="ema-label">${this.THRESHOLDS.EMA_PERIOD_50} EMA</div>
                     <div class="ema-price positive">₹${this.formatNumber(trend.ema50)}</div>
                 </div>
             </div>
@@ -585,6 +2077,18 @@ class NiftyEMATracker {
         const signalCard = document.getElementById('investmentSignal');
         if (!signalCard) return;
         
+        // Signals from sample numbers would read like advice; show none until real data arrives
+        if (this.isSampleData()) {
+            signalCard.className = 'signal-card wait';
+            signalCard.innerHTML = `
+                <div class="signal-header">
+                    <div class="signal-status wait">NO SIGNAL</div>
+                    <div class="signal-description">Computed from sample data, which is not real. Signals return once live or cached market data loads.</div>
+                </div>
+            `;
+            return;
+        }
+        
         const signalClass = signals.combined.signal.toLowerCase().includes('buy') ? 'buy' : 
                            (signals.combined.signal === 'AVOID' ? 'avoid' : 'wait');
         
@@ -626,12 +2130,87 @@ class NiftyEMATracker {
                                 ${signals.momentum.conditions.priceAboveEMAs ? 'YES' : 'NO'}
                             </span>
                         </div>
+                        ${'higherTimeframes' in signals.momentum.conditions ? `
+                            <div class="condition">
+                                <span class="condition-text">${MOMENTUM_CONFIRMATION_LABELS[this.momentumConfirmation]}</span>
+                                <span class="condition-status ${signals.momentum.conditions.higherTimeframes ? 'met' : 'not-met'}">
+                                    ${signals.momentum.conditions.higherTimeframes ? 'YES' : 'NO'}
+                                </span>
+                            </div>
+                        ` : ''}
+                    </div>
+                </div>
+                ${this.renderIntradayStrategyCard(this.intraday.analysis)}
+                ${signals.custom.map(strategy => this.renderCustomStrategyCard(strategy)).join('')}
+            </div>
+        `;
+    }
+
+    // Shown for reference; the intraday signal does not vote in the combined signal
+    renderIntradayStrategyCard(analysis) {
+        if (!analysis) return '';
+        
+        const strategyClass = this.getStrategyClass(analysis.signal);
+        return `
+            <div class="strategy-card ${strategyClass}">
+                <div class="strategy-title">⏱ Intraday Momentum (${INTRADAY_INTERVALS[analysis.interval]})</div>
+                <div class="strategy-signal ${strategyClass}">${analysis.signal}</div>
+                <div class="strategy-details">${analysis.description}</div>
+                <div class="conditions">
+                    <div class="condition">
+                        <span class="condition-text">EMA Trend</span>
+                        <span class="condition-status ${analysis.conditions.bullishTrend ? 'met' : 'not-met'}">
+                            ${analysis.conditions.bullishTrend ? 'BULLISH' : 'BEARISH'}
+                        </span>
+                    </div>
+                    <div class="condition">
+                        <span class="condition-text">Price > VWAP</span>
+                        <span class="condition-status ${analysis.conditions.priceAboveVWAP ? 'met' : 'not-met'}">
+                            ${analysis.conditions.priceAboveVWAP ? 'YES' : 'NO'}
+                        </span>
                     </div>
+                    <div class="condition">
+                        <span class="condition-text">Price > EMAs</span>
+                        <span class="condition-status ${analysis.conditions.priceAboveEMAs ? 'met' : 'not-met'}">
+                            ${analysis.conditions.priceAboveEMAs ? 'YES' : 'NO'}
+                        </span>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    renderCustomStrategyCard(strategy) {
+        const strategyClass = this.getStrategyClass(strategy.signal);
+        return `
+            <div class="strategy-card ${strategyClass}">
+                <div class="strategy-title">🧩 ${this.escapeHTML(strategy.name)}</div>
+                <div class="strategy-signal ${strategyClass}">${strategy.signal}</div>
+                <div class="strategy-details">
+                    Score ${(strategy.score * 100).toFixed(0)}% · weight ${strategy.weight} in combined signal
                 </div>
+                <ul class="conditions">
+                    ${strategy.conditions.map(condition => `
+                        <li class="condition">
+                            <span class="condition-text">${this.escapeHTML(condition.expression)}${condition.weight !== 1 ? ` <span class="card-meta">×${condition.weight}</span>` : ''}</span>
+                            <span class="condition-status ${condition.met ? 'met' : 'not-met'}">
+                                ${condition.met ? 'MET' : 'NOT MET'}
+                            </span>
+                        </li>
+                    `).join('')}
+                </ul>
             </div>
         `;
     }
 
+    escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
     getStrategyClass(signal) {
         if (signal.includes('BUY')) return 'bullish';
         if (signal === 'AVOID') return 'bearish';
@@ -641,9 +2220,9 @@ class NiftyEMATracker {
     renderConditions(conditions) {
         return Object.entries(conditions).map(([key, met]) => {
             const labels = {
-                correction: '10%+ Correction',
-                rsi: 'RSI < 30',
-                pe: 'PE < 21'
+                correction: `${this.THRESHOLDS.CORRECTION_THRESHOLD}%+ Correction`,
+                rsi: `RSI < ${this.THRESHOLDS.RSI_OVERSOLD}`,
+                pe: `PE < ${this.THRESHOLDS.PE_ATTRACTIVE}`
             };
             
             return `
@@ -690,11 +2269,17 @@ class NiftyEMATracker {
         
         await Promise.all([
             this.fetchNiftyData(),
-            this.fetchHistoricalData()
+            this.fetchHistoricalData(),
+            this.fetchAllTimeHigh(),
+            this.intraday.refresh(),
+            this.timeframes.refresh(),
+            this.drawdowns.refresh()
         ]);
         
+        this.patchTodayBar();
         this.calculateEMAs();
         this.detectCrossovers();
+        this.calculateIndicators();
         this.updateUI();
         
         this.hideLoading();
@@ -703,37 +2288,135 @@ class NiftyEMATracker {
             refreshBtn.disabled = false;
             refreshBtn.innerHTML = '↻ Refresh';
         }
+        
+        await this.watchlist.refresh({ includeHistory: true });
+        this.notifySignalChanges();
+        this.journalSignalChanges();
+        this.evaluateAlerts();
+    }
+
+    // Drill the full dashboard into another index from the watchlist
+    async selectSymbol(symbol) {
+        if (!this.WATCHLIST.some(item => item.symbol === symbol) || symbol === this.SYMBOL) return;
+        
+        this.SYMBOL = symbol;
+        appStorage.set('nifty_symbol', symbol);
+        
+        this.data = null;
+        this.historicalData = [];
+        this.emaData = { ema20: [], ema50: [], crossovers: [] };
+        this.indicatorData = { rsi: [], sma200: [], ema200: [] };
+        this.allTimeHigh = this.loadAllTimeHigh();
+        this.ledger = new InvestmentLedger(this.symbolKey('nifty_ledger'));
+        this.journal = new SignalJournal(this.symbolKey('nifty_journal'));
+        
+        this.loadCachedData();
+        this.watchlist.render();
+        await this.manualRefresh();
+    }
+
+    getSymbolName(symbol = this.SYMBOL) {
+        const item = this.WATCHLIST.find(entry => entry.symbol === symbol);
+        return item ? item.name : symbol;
+    }
+
+    // Pre-open, regular and special sessions all move prices; holidays and weekends do not
+    isMarketHours(status = this.marketCalendar.getStatus()) {
+        return ['PRE_OPEN', 'OPEN', 'SPECIAL'].includes(status.state);
+    }
+
+    setupCalendarImport() {
+        const input = document.getElementById('calendarImport');
+        const statusElement = document.getElementById('calendarStatus');
+        if (!input) return;
+        
+        input.addEventListener('change', async () => {
+            const file = input.files && input.files[0];
+            if (!file) return;
+            
+            try {
+                const count = this.marketCalendar.import(await file.text());
+                if (statusElement) statusElement.textContent = `Imported ${count} calendar day${count === 1 ? '' : 's'}`;
+                this.updateMarketStatus();
+            } catch (error) {
+                if (statusElement) statusElement.textContent = error.message;
+            }
+            input.value = '';
+        });
     }
 
-    isMarketHours() {
-        const now = new Date();
-        const istTime = new Date(now.toLocaleString("en-US", {timeZone: "Asia/Kolkata"}));
-        const hours = istTime.getHours();
-        const minutes = istTime.getMinutes();
-        const currentMinutes = hours * 60 + minutes;
+    startMarketClock() {
+        if (this.marketClockInterval) clearInterval(this.marketClockInterval);
+        this.updateMarketStatus();
+        this.marketClockInterval = setInterval(() => this.updateMarketStatus(), 1000);
+    }
+
+    // Header status with a countdown; switches refresh cadence when the session changes
+    updateMarketStatus() {
+        const status = this.marketCalendar.getStatus();
+        const statusElement = document.getElementById('marketStatus');
+        
+        if (statusElement) {
+            const countdown = status.next ? ` · ${status.next.label} in ${this.formatCountdown(status.next.at - Date.now())}` : '';
+            statusElement.className = `status-indicator status-market-${status.state.toLowerCase().replace('_', '-')}`;
+            statusElement.textContent = `${status.label}${countdown}`;
+            statusElement.title = status.next
+                ? `${status.next.label} ${status.next.at.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })} IST`
+                : '';
+        }
         
-        const startMinutes = this.MARKET_HOURS.start.hour * 60 + this.MARKET_HOURS.start.minute;
-        const endMinutes = this.MARKET_HOURS.end.hour * 60 + this.MARKET_HOURS.end.minute;
+        // Keep the "cached N min ago" badges ageing between refreshes
+        if (this.data) this.updateProvenance(status);
         
-        // Check if it's a weekday (Monday = 1, Sunday = 0)
-        const dayOfWeek = istTime.getDay();
-        const isWeekday = dayOfWeek >= 1 && dayOfWeek <= 5;
+        if (this.refreshInterval && status.state !== this.refreshMarketState) {
+            this.setupAutoRefresh();
+        }
+    }
+
+    formatCountdown(milliseconds) {
+        const totalSeconds = Math.max(0, Math.floor(milliseconds / 1000));
+        const days = Math.floor(totalSeconds / 86400);
+        const hours = Math.floor((totalSeconds % 86400) / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+        const pad = value => String(value).padStart(2, '0');
         
-        return isWeekday && currentMinutes >= startMinutes && currentMinutes <= endMinutes;
+        if (days > 0) return `${days}d ${hours}h`;
+        if (hours > 0) return `${hours}h ${pad(minutes)}m`;
+        return `${minutes}m ${pad(seconds)}s`;
     }
 
     setupAutoRefresh() {
         this.clearAutoRefresh();
         
-        if (this.isMarketHours()) {
+        const status = this.marketCalendar.getStatus();
+        this.refreshMarketState = status.state;
+        
+        if (this.isMarketHours(status)) {
             this.refreshInterval = setInterval(async () => {
-                await this.fetchNiftyData();
+                await Promise.all([this.fetchNiftyData(), this.intraday.refresh()]);
+                this.patchTodayBar();
+                this.calculateEMAs();
+                this.detectCrossovers();
+                this.calculateIndicators();
                 this.updateUI();
+                await this.watchlist.refresh();
+                this.notifySignalChanges();
+                this.journalSignalChanges();
+                this.evaluateAlerts();
             }, 30000); // 30 seconds during market hours
         } else {
             this.refreshInterval = setInterval(async () => {
                 await this.fetchNiftyData();
+                this.patchTodayBar();
+                this.calculateEMAs();
+                this.detectCrossovers();
+                this.calculateIndicators();
                 this.updateUI();
+                await this.watchlist.refresh();
+                this.notifySignalChanges();
+                this.journalSignalChanges();
+                this.evaluateAlerts();
             }, 300000); // 5 minutes after hours
         }
     }
@@ -761,6 +2444,7 @@ class NiftyEMATracker {
             this.setupAutoRefresh();
         } else {
             this.clearAutoRefresh();
+            this.requestBackgroundRefresh();
         }
     }
 
@@ -791,55 +2475,43 @@ class NiftyEMATracker {
         }
     }
 
+    // Storage key for per-symbol data, e.g. nifty_current_^NSEBANK
+    symbolKey(key, symbol = this.SYMBOL) {
+        return `${key}_${symbol}`;
+    }
+
+    // Persisted through appStorage (see storage.js); write failures surface in the footer, and the
+    // returned promise resolves to false for callers that report them themselves
     cacheData(key, data) {
-        try {
-            const cacheData = {
-                data: data,
-                timestamp: Date.now(),
-                version: '2.0'
-            };
-            localStorage.setItem(key, JSON.stringify(cacheData));
-        } catch (error) {
-            console.error('Error caching data:', error);
-        }
+        return appStorage.set(key, data);
     }
 
     loadCachedData() {
-        try {
-            const currentData = localStorage.getItem('nifty_current');
-            const historicalData = localStorage.getItem('nifty_historical');
-            const emaData = localStorage.getItem('nifty_ema');
-            
-            if (currentData) {
-                const cached = JSON.parse(currentData);
-                if (cached.version === '2.0' && Date.now() - cached.timestamp < 600000) { // 10 min
-                    this.data = cached.data;
-                }
-            }
-            
-            if (historicalData) {
-                const cached = JSON.parse(historicalData);
-                if (cached.version === '2.0' && Date.now() - cached.timestamp < 3600000) { // 1 hour
-                    this.historicalData = cached.data;
-                }
-            }
-            
-            if (emaData) {
-                const cached = JSON.parse(emaData);
-                if (cached.version === '2.0' && Date.now() - cached.timestamp < 3600000) { // 1 hour
-                    this.emaData = cached.data;
-                }
-            }
-            
-        } catch (error) {
-            console.error('Error loading cached data:', error);
+        const fresh = (key, maxAge) => {
+            const record = appStorage.getRecord(this.symbolKey(key));
+            return record && Date.now() - record.timestamp < maxAge ? record.data : null;
+        };
+        
+        const currentData = fresh('nifty_current', 600000); // 10 min
+        // The stored daily series and its EMAs are kept in sync incrementally, so never expire
+        const historicalData = fresh('nifty_historical', Infinity);
+        const emaData = fresh('nifty_ema', Infinity);
+        const indicatorData = fresh('nifty_indicators', 3600000);
+        
+        if (currentData) this.data = { ...currentData, ...this.cachedProvenance(appStorage.getRecord(this.symbolKey('nifty_current'))) };
+        if (historicalData) {
+            this.historicalData = this.mergeImportedHistory(historicalData);
+            this.historySource = { source: 'cached', at: new Date(appStorage.getRecord(this.symbolKey('nifty_historical')).timestamp).toISOString() };
         }
+        if (emaData) this.emaData = emaData;
+        if (indicatorData) this.indicatorData = indicatorData;
     }
 }
 
-// Initialize the enhanced tracker when DOM is loaded
+// Initialize the enhanced tracker when DOM is loaded and stored data is ready
+const startTracker = () => appStorage.open().then(() => new NiftyEMATracker());
 if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => new NiftyEMATracker());
+    document.addEventListener('DOMContentLoaded', startTracker);
 } else {
-    new NiftyEMATracker();
+    startTracker();
 }
@@ -0,0 +1,97 @@
+// Background refresh for the Nifty EMA Tracker
+//
+// Runs inside the service worker on periodic or one-off background sync, when no dashboard tab is
+// in view. It refreshes the tracked index's quote and daily history, reads the signals with the
+// user's own settings and custom strategies, records changes in the SignalJournal and hands them
+// to SignalNotifier and AlertManager, so changes are kept and announced with the app closed.
+// Notification and alert state lives in appStorage, shared with the page, so a change already
+// announced by one side is not announced again.
+const BACKGROUND_SYNC_TAG = 'nifty-refresh';
+
+class BackgroundRefresh {
+    constructor(symbol = '^NSEI', name = 'Nifty 50') {
+        this.symbol = symbol;
+        this.name = name;
+    }
+
+    async run(provider) {
+        const symbol = this.symbol;
+        const [quote, sync] = await Promise.all([
+            provider.getQuote(symbol),
+            new HistorySync(provider).sync(symbol)
+        ]);
+
+        const engine = new SignalEngine(new StrategySettings(DEFAULT_THRESHOLDS).load());
+        engine.customStrategies = new CustomStrategyStore();
+        engine.momentumConfirmation = appStorage.get('nifty_momentum_confirmation') || '';
+
+        // Keep what the page last stored (ATH, PE) and update the live fields
+        const currentKey = `nifty_current_${symbol}`;
+        const data = {
+            ...appStorage.get(currentKey),
+            current_price: quote.price,
+            previous_close: quote.previous_close,
+            open: quote.open,
+            day_high: quote.day_high,
+            day_low: quote.day_low,
+            high_52w: quote.high_52w,
+            low_52w: quote.low_52w,
+            market_date: quote.market_time ? new Date(quote.market_time * 1000).toISOString().split('T')[0] : null,
+            source: quote.provenance ? quote.provenance.source : 'live',
+            source_time: quote.provenance ? quote.provenance.at : new Date().toISOString(),
+            last_updated: new Date().toISOString()
+        };
+
+        const bars = engine.foldQuoteIntoBars(sync.bars, data);
+        const analysis = engine.analyzeBars(bars, {
+            price: quote.price,
+            allTimeHigh: data.all_time_high,
+            peRatio: data.pe_ratio ?? null,
+            longHistory: appStorage.get(`nifty_timeframe_history_${symbol}`) || {}
+        });
+        data.rsi = analysis.rsi;
+        data.dma_200 = this.latestDMA(engine, bars);
+        appStorage.set(currentKey, data);
+
+        new SignalJournal(`nifty_journal_${symbol}`).record(analysis.signals, {
+            price: quote.price,
+            date: data.market_date || bars[bars.length - 1].date
+        });
+        
+        const notifier = new SignalNotifier();
+        await notifier.check(symbol, this.name, analysis.signals, analysis.emaTrend.lastCrossover);
+        await this.evaluateAlerts(notifier, {
+            price: quote.price,
+            correction: analysis.correction,
+            rsi: analysis.rsi,
+            ema20: analysis.emaTrend.ema20,
+            ema50: analysis.emaTrend.ema50,
+            dma_200: data.dma_200
+        });
+        await appStorage.writes;
+    }
+
+    // The 200 DMA in the mode picked on the dashboard
+    latestDMA(engine, bars) {
+        const closes = bars.map(bar => bar.close);
+        const period = engine.THRESHOLDS.DMA_PERIOD;
+        const values = appStorage.get('nifty_dma_mode') === 'EMA'
+            ? engine.calculateEMA(closes, period)
+            : engine.calculateSMA(closes, period);
+        return values.length > 0 ? values[values.length - 1] : null;
+    }
+
+    async evaluateAlerts(notifier, context) {
+        const alerts = new AlertManager();
+        const triggered = alerts.evaluate(this.symbol, context);
+        if (!SignalNotifier.isSupported() || Notification.permission !== 'granted') return;
+
+        for (const { alert, entry } of triggered) {
+            await notifier.show(`🚨 ${alerts.describe(alert, this.name)}`, {
+                body: `${ALERT_METRICS[alert.metric]} at ${entry.value.toLocaleString('en-IN', { maximumFractionDigits: 2 })}${alert.mode === 'once' ? ' · alert switched off' : ''}`,
+                tag: `alert-${alert.id}-${entry.triggeredAt}`,
+                data: { symbol: this.symbol, section: 'alertsSection' }
+            });
+        }
+    }
+}
@@ -0,0 +1,199 @@
+// Strategy backtester for the Nifty EMA Tracker
+//
+// Replays the tracker's daily history, rebuilds the value/momentum/combined signals as they
+// would have read at each close, and trades on the next session's open so no bar is used
+// before it was known. Two modes:
+//   'switch'   - fully invested while the signal is BUY/STRONG BUY, in cash otherwise
+//   'periodic' - a fixed contribution every N sessions, deployed only while the signal is BUY
+// Returns are time-weighted (per-unit NAV), so CAGR and drawdown ignore the contributions.
+class StrategyBacktester {
+    constructor(tracker) {
+        this.tracker = tracker;
+        this.STRATEGIES = ['value', 'momentum', 'combined'];
+    }
+
+    run(options = {}) {
+        const settings = {
+            mode: 'switch',
+            contribution: 10000,
+            interval: 21,
+            ...options
+        };
+
+        const timeline = this.buildSignalTimeline(this.tracker.historicalData);
+        if (timeline.length < 2) {
+            throw new Error(`Not enough history to backtest: need more than the ${this.tracker.THRESHOLDS.EMA_PERIOD_50} EMA warm-up`);
+        }
+
+        const results = {};
+        this.STRATEGIES.forEach(strategy => {
+            results[strategy] = this.simulate(timeline, day => day.signals[strategy].signal.includes('BUY'), settings);
+        });
+        results.buyAndHold = this.simulate(timeline, () => true, settings);
+
+        return {
+            settings,
+            from: timeline[0].date,
+            to: timeline[timeline.length - 1].date,
+            sessions: timeline.length,
+            results
+        };
+    }
+
+    // Signals for every bar once the 50 EMA exists, using only data up to that bar
+    buildSignalTimeline(bars) {
+        const tracker = this.tracker;
+        const fastPeriod = tracker.THRESHOLDS.EMA_PERIOD_20;
+        const slowPeriod = tracker.THRESHOLDS.EMA_PERIOD_50;
+        const rsiPeriod = tracker.THRESHOLDS.RSI_PERIOD;
+
+        const closes = bars.map(bar => bar.close);
+        const ema20 = tracker.calculateEMA(closes, fastPeriod);
+        const ema50 = tracker.calculateEMA(closes, slowPeriod);
+        const rsi = tracker.calculateRSI(closes, rsiPeriod);
+        const crossovers = tracker.findCrossovers(bars, ema20, ema50, fastPeriod, slowPeriod);
+        const dmaPeriod = tracker.THRESHOLDS.DMA_PERIOD;
+        const dma = tracker.dmaMode === 'EMA'
+            ? tracker.calculateEMA(closes, dmaPeriod)
+            : tracker.calculateSMA(closes, dmaPeriod);
+        // Each reading only depends on bars up to its own, so one pass serves every day
+        const technical = TechnicalIndicators.compute(bars);
+        // Weekly/monthly trend with each day's period still forming, for momentum confirmation
+        const longHistory = tracker.timeframes.getLongHistory();
+        const timeframeTrends = {};
+        Object.keys(HIGHER_TIMEFRAMES).forEach(timeframe => {
+            timeframeTrends[timeframe] = tracker.timeframeTrendSeries(bars, timeframe, longHistory[timeframe] || []);
+        });
+
+        // PE has no history here, so every day is judged against today's PE
+        const peRatio = tracker.data ? tracker.data.pe_ratio : tracker.FALLBACK_DATA.pe_ratio;
+
+        // Any ATH recorded before the window is a valid prior peak
+        const knownPeak = [tracker.allTimeHigh, tracker.getATHSeed()]
+            .filter(ath => bars.length > 0 && ath.date < bars[0].date)
+            .reduce((max, ath) => Math.max(max, ath.value), 0);
+
+        const timeline = [];
+        let peak = knownPeak;
+        let crossIndex = -1;
+
+        bars.forEach((bar, i) => {
+            peak = Math.max(peak, bar.high || bar.close);
+            while (crossIndex + 1 < crossovers.length && crossovers[crossIndex + 1].date <= bar.date) {
+                crossIndex++;
+            }
+
+            if (i < slowPeriod - 1) return;
+
+            const emaTrend = tracker.buildEMATrend(
+                ema20[i - fastPeriod + 1],
+                ema50[i - slowPeriod + 1],
+                crossIndex >= 0 ? crossovers[crossIndex] : null,
+                new Date(bar.date)
+            );
+
+            const yearBars = bars.slice(Math.max(0, i - 251), i + 1);
+            const signals = tracker.evaluateSignals({
+                price: bar.close,
+                open: bar.open,
+                high: bar.high,
+                low: bar.low,
+                previous_close: i > 0 ? bars[i - 1].close : null,
+                correction: ((bar.close - peak) / peak) * 100,
+                all_time_high: peak,
+                high_52w: Math.max(...yearBars.map(item => item.high || item.close)),
+                low_52w: Math.min(...yearBars.map(item => item.low || item.close)),
+                rsi: i >= rsiPeriod ? rsi[i - rsiPeriod] : null,
+                dma_200: i >= dmaPeriod - 1 ? dma[i - dmaPeriod + 1] : null,
+                pe_ratio: peRatio,
+                technical: TechnicalIndicators.valuesAt(technical, i),
+                timeframes: { weekly: timeframeTrends.weekly[i], monthly: timeframeTrends.monthly[i] },
+                emaTrend
+            });
+
+            timeline.push({ index: i, date: bar.date, close: bar.close, open: bars[i + 1] ? bars[i + 1].open : null, signals });
+        });
+
+        return timeline;
+    }
+
+    // Run one rule over the timeline; `wantsExposure(day)` is read at the close, acted on at the next open
+    simulate(timeline, wantsExposure, settings) {
+        let cash = settings.mode === 'periodic' ? 0 : 1;
+        let units = 0;          // index units held
+        let navUnits = 1;       // time-weighted fund units outstanding
+        let invested = settings.mode === 'periodic' ? 0 : 1;
+        let entryPrice = null;
+
+        const trades = [];
+        const equityCurve = [];
+
+        timeline.forEach((day, i) => {
+            const markPrice = day.close;
+
+            if (settings.mode === 'periodic' && i % settings.interval === 0) {
+                // New money buys fund units at the current NAV so it does not count as return
+                const equityBefore = cash + units * markPrice;
+                const nav = invested === 0 ? 1 : equityBefore / navUnits;
+                navUnits = invested === 0 ? settings.contribution : navUnits + settings.contribution / nav;
+                cash += settings.contribution;
+                invested += settings.contribution;
+            }
+
+            const equity = cash + units * markPrice;
+            equityCurve.push({ date: day.date, equity, nav: equity / navUnits });
+
+            // Trade at the next session's open; the last bar has no next open
+            const fillPrice = day.open;
+            if (fillPrice === null) return;
+
+            const exposed = wantsExposure(day);
+            if (exposed && cash > 0) {
+                const bought = cash / fillPrice;
+                units += bought;
+                trades.push({ date: timeline[i + 1].date, side: 'BUY', price: fillPrice, amount: cash });
+                if (entryPrice === null) entryPrice = fillPrice;
+                cash = 0;
+            } else if (!exposed && settings.mode === 'switch' && units > 0) {
+                cash = units * fillPrice;
+                trades.push({ date: timeline[i + 1].date, side: 'SELL', price: fillPrice, amount: cash, return: fillPrice / entryPrice - 1 });
+                units = 0;
+                entryPrice = null;
+            }
+        });
+
+        return this.summarize(equityCurve, trades, invested, settings, timeline[timeline.length - 1].close);
+    }
+
+    summarize(equityCurve, trades, invested, settings, lastPrice) {
+        const first = equityCurve[0];
+        const last = equityCurve[equityCurve.length - 1];
+        const years = (new Date(last.date) - new Date(first.date)) / (365.25 * 24 * 60 * 60 * 1000);
+        const startNav = first.nav;
+
+        let peakNav = 0;
+        let maxDrawdown = 0;
+        equityCurve.forEach(point => {
+            peakNav = Math.max(peakNav, point.nav);
+            if (peakNav > 0) maxDrawdown = Math.min(maxDrawdown, (point.nav - peakNav) / peakNav);
+        });
+
+        // Switch mode scores closed round trips; periodic mode scores each buy against the last close
+        const scored = settings.mode === 'switch'
+            ? trades.filter(trade => trade.side === 'SELL').map(trade => trade.return)
+            : trades.map(trade => lastPrice / trade.price - 1);
+        const wins = scored.filter(value => value > 0).length;
+
+        return {
+            cagr: years > 0 ? Math.pow(last.nav / startNav, 1 / years) - 1 : 0,
+            totalReturn: last.nav / startNav - 1,
+            maxDrawdown,
+            hitRate: scored.length > 0 ? wins / scored.length : null,
+            trades: trades.length,
+            invested,
+            finalValue: last.equity,
+            equityCurve,
+            tradeLog: trades
+        };
+    }
+}
@@ -0,0 +1,211 @@
+// Drawdown analytics for the Nifty EMA Tracker
+//
+// Puts today's correction in the context of every earlier one. The full daily history (range
+// max, back to 2007 for the Nifty 50) is fetched once a day and stored per symbol as closes only;
+// the dashboard's own daily series takes over where it starts. Drawdowns are measured on closes
+// from the running closing high: an episode runs from a peak until the close regains it, its
+// depth is the lowest close on the way. Episodes shallower than the smallest threshold are left
+// out. Durations are counted in sessions.
+const DRAWDOWN_THRESHOLDS = [5, 10, 20];
+
+class DrawdownAnalysis {
+    constructor(tracker) {
+        this.tracker = tracker;
+        this.HISTORY_MAX_AGE = 24 * 60 * 60 * 1000; // 1 day
+        this.threshold = 10;
+    }
+
+    historyKey(symbol = this.tracker.SYMBOL) {
+        return this.tracker.symbolKey('nifty_drawdown_history', symbol);
+    }
+
+    async refresh() {
+        const tracker = this.tracker;
+        const symbol = tracker.SYMBOL;
+        const record = appStorage.getRecord(this.historyKey(symbol));
+        if (record && Date.now() - record.timestamp < this.HISTORY_MAX_AGE) return;
+
+        try {
+            const bars = await tracker.provider.getDailyHistory(symbol, { range: 'max' });
+            appStorage.set(this.historyKey(symbol), bars.map(bar => ({ date: bar.date, close: bar.close })));
+        } catch (error) {
+            console.error('Error fetching long daily history:', error);
+        }
+    }
+
+    // Long stored closes up to where the dashboard's daily series (with today's bar) begins
+    getBars() {
+        const tracker = this.tracker;
+        if (tracker.historySource.source === 'sample') return [];
+
+        const recent = tracker.historicalData.map(bar => ({ date: bar.date, close: bar.close }));
+        const start = recent.length > 0 ? recent[0].date : '9999-12-31';
+        const long = (appStorage.get(this.historyKey()) || []).filter(bar => bar.date < start);
+        return [...long, ...recent];
+    }
+
+    // Drawdown (%, zero or negative) from the running closing high, for every bar
+    static underwater(bars) {
+        let peak = -Infinity;
+        return bars.map(bar => {
+            peak = Math.max(peak, bar.close);
+            return { date: bar.date, drawdown: (bar.close - peak) / peak * 100 };
+        });
+    }
+
+    // Every peak-to-recovery episode at least minDepth % deep; the last may still be ongoing
+    static episodes(bars, minDepth = DRAWDOWN_THRESHOLDS[0]) {
+        const episodes = [];
+        let peakIndex = 0;
+        let current = null;
+
+        bars.forEach((bar, i) => {
+            const peak = bars[peakIndex];
+            if (bar.close >= peak.close) {
+                if (current) {
+                    episodes.push({
+                        ...current,
+                        recoveryDate: bar.date,
+                        duration: i - current.peakIndex,
+                        recovery: i - current.troughIndex,
+                        ongoing: false
+                    });
+                    current = null;
+                }
+                peakIndex = i;
+                return;
+            }
+
+            if (!current || bar.close < current.trough) {
+                current = {
+                    peakIndex,
+                    peakDate: peak.date,
+                    peak: peak.close,
+                    troughIndex: i,
+                    troughDate: bar.date,
+                    trough: bar.close,
+                    depth: (bar.close - peak.close) / peak.close * 100,
+                    decline: i - peakIndex
+                };
+            }
+        });
+
+        if (current) {
+            episodes.push({ ...current, recoveryDate: null, duration: bars.length - 1 - current.peakIndex, recovery: null, ongoing: true });
+        }
+        return episodes.filter(episode => episode.depth <= -minDepth);
+    }
+
+    // Today's drawdown against the completed episodes: the share it is deeper than, and the median
+    // trough-to-recovery time of the ones that went at least as deep
+    static context(bars, episodes) {
+        if (bars.length === 0) return null;
+
+        const underwater = DrawdownAnalysis.underwater(bars);
+        const depth = underwater[underwater.length - 1].drawdown;
+        const completed = episodes.filter(episode => !episode.ongoing);
+        const comparable = completed
+            .filter(episode => episode.depth <= Math.min(depth, -DRAWDOWN_THRESHOLDS[0]))
+            .map(episode => episode.recovery)
+            .sort((a, b) => a - b);
+        const middle = Math.floor(comparable.length / 2);
+
+        return {
+            depth,
+            since: bars[0].date,
+            count: completed.length,
+            deeperThan: completed.length > 0
+                ? completed.filter(episode => episode.depth > depth).length / completed.length * 100
+                : null,
+            comparable: comparable.length,
+            medianRecovery: comparable.length === 0
+                ? null
+                : (comparable.length % 2 ? comparable[middle] : (comparable[middle - 1] + comparable[middle]) / 2)
+        };
+    }
+
+    describeContext(context) {
+        if (!context) return '';
+        const since = context.since.slice(0, 4);
+        const minimum = DRAWDOWN_THRESHOLDS[0];
+
+        if (context.depth > -0.01) {
+            return `At a closing high · ${context.count} drawdowns of ${minimum}%+ since ${since}`;
+        }
+        const deeper = context.deeperThan === null
+            ? `no completed ${minimum}%+ drawdowns since ${since} to compare with`
+            : `deeper than ${context.deeperThan.toFixed(0)}% of the ${context.count} drawdowns of ${minimum}%+ since ${since}`;
+        const recovery = context.medianRecovery === null
+            ? ''
+            : `; median recovery ${Math.round(context.medianRecovery)} sessions from the trough`;
+        return `Current ${context.depth.toFixed(1)}% drawdown is ${deeper}${recovery}`;
+    }
+
+    render() {
+        const tracker = this.tracker;
+        const bars = this.getBars();
+        const episodes = DrawdownAnalysis.episodes(bars);
+        const context = DrawdownAnalysis.context(bars, episodes);
+
+        const contextElement = document.getElementById('correctionContext');
+        if (contextElement) contextElement.textContent = this.describeContext(context);
+
+        const container = document.getElementById('drawdownAnalysis');
+        if (!container) return;
+        document.querySelectorAll('[data-drawdown-threshold]').forEach(button => {
+            button.classList.toggle('active', Number(button.dataset.drawdownThreshold) === this.threshold);
+        });
+
+        if (bars.length === 0) {
+            container.innerHTML = '<p class="card-meta">Drawdowns need real daily history; none is loaded yet.</p>';
+            return;
+        }
+
+        const rows = episodes
+            .filter(episode => episode.depth <= -this.threshold)
+            .reverse()
+            .map(episode => `
+                <tr>
+                    <td>${episode.peakDate}<br><span class="card-meta">₹${tracker.formatNumber(episode.peak)}</span></td>
+                    <td>${episode.troughDate}<br><span class="card-meta">₹${tracker.formatNumber(episode.trough)}</span></td>
+                    <td class="negative">${episode.depth.toFixed(2)}%</td>
+                    <td>${episode.decline}</td>
+                    <td>${episode.ongoing ? '<span class="neutral">Ongoing</span>' : `${episode.recovery}<br><span class="card-meta">${episode.recoveryDate}</span>`}</td>
+                    <td>${episode.duration}</td>
+                </tr>
+            `).join('');
+
+        container.innerHTML = `
+            <p class="card-meta">${this.describeContext(context)}</p>
+            ${this.renderUnderwaterChart(DrawdownAnalysis.underwater(bars))}
+            <div class="card-meta">${bars[0].date} → ${bars[bars.length - 1].date} · ${bars.length} sessions, closing prices</div>
+            ${rows
+                ? `<table class="data-table">
+                    <thead>
+                        <tr><th>Peak</th><th>Trough</th><th>Depth</th><th>Decline</th><th>Recovery</th><th>Underwater</th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>`
+                : `<p class="card-meta">No drawdowns of ${this.threshold}% or more in this history.</p>`}
+        `;
+    }
+
+    // Drawdown area from 0% at the top down to the deepest point
+    renderUnderwaterChart(points) {
+        const width = 600;
+        const height = 160;
+        const deepest = Math.min(...points.map(point => point.drawdown)) || -1;
+        const line = points.map((point, i) => {
+            const x = (i / Math.max(points.length - 1, 1)) * width;
+            const y = (point.drawdown / deepest) * height;
+            return `${x.toFixed(1)},${y.toFixed(1)}`;
+        }).join(' ');
+
+        return `
+            <svg class="underwater-chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+                <polygon points="0,0 ${line} ${width},0" fill="var(--red)" fill-opacity="0.25" stroke="var(--red)" stroke-width="1" />
+            </svg>
+            <div class="card-meta">Deepest ${deepest.toFixed(1)}%</div>
+        `;
+    }
+}
@@ -0,0 +1,90 @@
+// Import and export of daily history for the Nifty EMA Tracker
+//
+// Export writes one row per daily bar with the EMA, RSI and 200 DMA values computed for that day
+// plus any crossover on it, as CSV or JSON. Import accepts the same files (or any CSV/JSON with at
+// least date and close columns, e.g. bhavcopy-derived closes), validates every row and either
+// merges into or replaces the stored history.
+const HISTORY_EXPORT_COLUMNS = ['date', 'open', 'high', 'low', 'close', 'volume', 'ema_fast', 'ema_slow', 'rsi', 'sma_200', 'ema_200', 'crossover'];
+
+class HistoryTransfer {
+    static toCSV(rows) {
+        const escape = value => {
+            if (value === null || value === undefined) return '';
+            const text = String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [
+            HISTORY_EXPORT_COLUMNS.join(','),
+            ...rows.map(row => HISTORY_EXPORT_COLUMNS.map(column => escape(row[column])).join(','))
+        ].join('\n');
+    }
+
+    static toJSON(rows, meta) {
+        return JSON.stringify({ ...meta, columns: HISTORY_EXPORT_COLUMNS, bars: rows }, null, 2);
+    }
+
+    // Strict counterpart of FileProvider.parse: reports bad rows instead of skipping them
+    static parse(text, name = '') {
+        const trimmed = text.trim();
+        if (trimmed === '') throw new Error('The file is empty');
+
+        const isJSON = name.toLowerCase().endsWith('.json') || trimmed.startsWith('[') || trimmed.startsWith('{');
+        let records;
+        if (isJSON) {
+            let parsed;
+            try {
+                parsed = JSON.parse(trimmed);
+            } catch (error) {
+                throw new Error('The file is not valid JSON');
+            }
+            records = Array.isArray(parsed) ? parsed : (parsed.bars || parsed.data);
+            if (!Array.isArray(records)) throw new Error('JSON must be an array of bars or have a "bars" array');
+        } else {
+            const header = (parseCSVRows(trimmed)[0] || []).map(column => column.trim().toLowerCase());
+            const missing = ['date', 'close'].filter(column => !header.includes(column) &&
+                !(column === 'close' && header.includes('adj close')));
+            if (missing.length > 0) throw new Error(`CSV is missing the ${missing.join(' and ')} column${missing.length > 1 ? 's' : ''}`);
+            records = parseCSV(trimmed);
+        }
+        if (records.length === 0) throw new Error('The file has no rows');
+
+        const errors = [];
+        const seen = new Set();
+        const today = new Date().toISOString().split('T')[0];
+        const bars = records.map((record, index) => {
+            const bar = normalizeBar(record);
+            const rowNumber = isJSON ? index + 1 : index + 2;
+            const date = new Date(`${bar.date}T00:00:00Z`);
+
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(bar.date) || isNaN(date) || date.toISOString().slice(0, 10) !== bar.date) {
+                errors.push(`Row ${rowNumber}: invalid date "${record.date ?? record.Date ?? ''}" (use YYYY-MM-DD)`);
+            } else if (bar.date > today) {
+                errors.push(`Row ${rowNumber}: date ${bar.date} is in the future`);
+            } else if (seen.has(bar.date)) {
+                errors.push(`Row ${rowNumber}: duplicate date ${bar.date}`);
+            }
+            seen.add(bar.date);
+
+            if (!(bar.close > 0)) {
+                errors.push(`Row ${rowNumber}: close must be a positive number`);
+            } else if (bar.high < bar.low || bar.close > bar.high || bar.close < bar.low) {
+                errors.push(`Row ${rowNumber}: close must lie between low and high`);
+            }
+            return bar;
+        });
+
+        if (errors.length > 0) {
+            const more = errors.length > 5 ? ` (and ${errors.length - 5} more)` : '';
+            throw new Error(`${errors.slice(0, 5).join('; ')}${more}`);
+        }
+
+        return bars.sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    // Imported bars win on dates both sets have
+    static merge(existing, incoming) {
+        const byDate = new Map(existing.map(bar => [bar.date, bar]));
+        incoming.forEach(bar => byDate.set(bar.date, bar));
+        return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+    }
+}
@@ -0,0 +1,44 @@
+// Incremental daily history sync for the Nifty EMA Tracker
+//
+// Only the sessions after the stored daily series are fetched, re-reading a few days before its
+// last bar in case recent sessions were partial or revised, and merged into it; a missing or
+// long-stale series, or one shorter than the window (carried over from an older release), is
+// fetched in full. Used by the dashboard and by the service worker's
+// background refresh, which share the series stored in appStorage.
+class HistorySync {
+    constructor(provider, { historyDays = 400, overlapDays = 7 } = {}) {
+        this.provider = provider;
+        this.historyDays = historyDays;
+        this.overlapDays = overlapDays;
+    }
+
+    // Returns { bars, full, changedFrom, provenance } where changedFrom is the first date whose bar
+    // is new or differs from the stored one and provenance is the fetched response's (see
+    // providers.js)
+    async sync(symbol, key = `nifty_historical_${symbol}`) {
+        const stored = appStorage.get(key) || [];
+        const day = 24 * 60 * 60;
+        const now = Math.floor(Date.now() / 1000);
+        const toTime = bar => Math.floor(new Date(bar.date).getTime() / 1000);
+        const lastTime = stored.length > 0 ? toTime(stored[stored.length - 1]) : 0;
+        const short = stored.length > 0 && toTime(stored[0]) > now - (this.historyDays - this.overlapDays) * day;
+
+        if (stored.length === 0 || short || now - lastTime > this.historyDays * day) {
+            const bars = await this.provider.getDailyHistory(symbol, { from: now - this.historyDays * day, to: now });
+            appStorage.set(key, bars);
+            return { bars, full: true, changedFrom: null, provenance: bars.provenance };
+        }
+
+        const fetched = await this.provider.getDailyHistory(symbol, { from: lastTime - this.overlapDays * day, to: now });
+        const storedByDate = new Map(stored.map(bar => [bar.date, bar]));
+        const changed = fetched.find(bar => {
+            const previous = storedByDate.get(bar.date);
+            return !previous || ['open', 'high', 'low', 'close', 'volume'].some(field => previous[field] !== bar[field]);
+        });
+        if (!changed) return { bars: stored, full: false, changedFrom: null, provenance: fetched.provenance };
+
+        const bars = HistoryTransfer.merge(stored, fetched);
+        appStorage.updateSeries(key, bars, changed.date);
+        return { bars, full: false, changedFrom: changed.date, provenance: fetched.provenance };
+    }
+}
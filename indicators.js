@@ -0,0 +1,225 @@
+// Technical indicator library for the Nifty EMA Tracker
+//
+// MACD, Bollinger Bands, ATR, Supertrend and Stochastic over a bar series. Unlike calculateEMA and
+// friends in app.js, every series returned here is aligned with the input bars and holds null
+// until the indicator has warmed up, so the value for bars[i] is always at index i. valuesAt()
+// flattens one bar's readings into the variables custom strategy rules can use (see rules.js).
+const INDICATOR_SETTINGS = {
+    macd: { fast: 12, slow: 26, signal: 9 },
+    bollinger: { period: 20, deviations: 2 },
+    atr: { period: 14 },
+    supertrend: { period: 10, multiplier: 3 },
+    stochastic: { period: 14, smoothing: 3, signal: 3 }
+};
+
+class TechnicalIndicators {
+    // EMA seeded with the SMA of its first `period` values, skipping leading nulls
+    static ema(values, period) {
+        const result = new Array(values.length).fill(null);
+        const start = values.findIndex(value => value !== null);
+        if (start < 0 || values.length - start < period) return result;
+
+        const k = 2 / (period + 1);
+        let ema = values.slice(start, start + period).reduce((sum, value) => sum + value, 0) / period;
+        result[start + period - 1] = ema;
+        for (let i = start + period; i < values.length; i++) {
+            ema = values[i] * k + ema * (1 - k);
+            result[i] = ema;
+        }
+        return result;
+    }
+
+    static sma(values, period) {
+        return values.map((value, i) => {
+            if (i < period - 1) return null;
+            const window = values.slice(i - period + 1, i + 1);
+            if (window.some(item => item === null)) return null;
+            return window.reduce((sum, item) => sum + item, 0) / period;
+        });
+    }
+
+    static macd(closes, { fast, slow, signal } = INDICATOR_SETTINGS.macd) {
+        const fastEMA = this.ema(closes, fast);
+        const slowEMA = this.ema(closes, slow);
+        const line = closes.map((close, i) => (fastEMA[i] !== null && slowEMA[i] !== null ? fastEMA[i] - slowEMA[i] : null));
+        const signalLine = this.ema(line, signal);
+        const histogram = line.map((value, i) => (value !== null && signalLine[i] !== null ? value - signalLine[i] : null));
+        return { line, signal: signalLine, histogram };
+    }
+
+    // Bands use the population standard deviation, as most charting packages do
+    static bollinger(closes, { period, deviations } = INDICATOR_SETTINGS.bollinger) {
+        const middle = this.sma(closes, period);
+        const upper = [];
+        const lower = [];
+        const percentB = [];
+        const bandwidth = [];
+
+        closes.forEach((close, i) => {
+            if (middle[i] === null) {
+                [upper, lower, percentB, bandwidth].forEach(series => series.push(null));
+                return;
+            }
+            const window = closes.slice(i - period + 1, i + 1);
+            const variance = window.reduce((sum, value) => sum + (value - middle[i]) ** 2, 0) / period;
+            const spread = Math.sqrt(variance) * deviations;
+            upper.push(middle[i] + spread);
+            lower.push(middle[i] - spread);
+            percentB.push(spread > 0 ? (close - (middle[i] - spread)) / (2 * spread) : 0.5);
+            bandwidth.push(middle[i] > 0 ? (2 * spread) / middle[i] * 100 : null);
+        });
+
+        return { upper, middle, lower, percentB, bandwidth };
+    }
+
+    // Wilder's average true range; bars without high/low fall back to the close
+    static atr(bars, { period } = INDICATOR_SETTINGS.atr) {
+        const trueRanges = bars.map((bar, i) => {
+            const high = bar.high ?? bar.close;
+            const low = bar.low ?? bar.close;
+            if (i === 0) return high - low;
+            const previousClose = bars[i - 1].close;
+            return Math.max(high - low, Math.abs(high - previousClose), Math.abs(low - previousClose));
+        });
+
+        const result = new Array(bars.length).fill(null);
+        if (bars.length <= period) return result;
+
+        // The first bar has no previous close, so the average starts from the second
+        let atr = trueRanges.slice(1, period + 1).reduce((sum, value) => sum + value, 0) / period;
+        result[period] = atr;
+        for (let i = period + 1; i < bars.length; i++) {
+            atr = (atr * (period - 1) + trueRanges[i]) / period;
+            result[i] = atr;
+        }
+        return result;
+    }
+
+    // direction is 1 while the trend is up (line below price), -1 while down
+    static supertrend(bars, { period, multiplier } = INDICATOR_SETTINGS.supertrend) {
+        const atr = this.atr(bars, { period });
+        const value = new Array(bars.length).fill(null);
+        const direction = new Array(bars.length).fill(null);
+        let upperBand = null;
+        let lowerBand = null;
+
+        bars.forEach((bar, i) => {
+            if (atr[i] === null) return;
+            const middle = ((bar.high ?? bar.close) + (bar.low ?? bar.close)) / 2;
+            const basicUpper = middle + multiplier * atr[i];
+            const basicLower = middle - multiplier * atr[i];
+            const previousClose = i > 0 ? bars[i - 1].close : bar.close;
+
+            // Bands only tighten while price stays inside them
+            upperBand = upperBand === null || basicUpper < upperBand || previousClose > upperBand ? basicUpper : upperBand;
+            lowerBand = lowerBand === null || basicLower > lowerBand || previousClose < lowerBand ? basicLower : lowerBand;
+
+            const previousDirection = direction[i - 1] ?? 1;
+            if (previousDirection === 1) {
+                direction[i] = bar.close < lowerBand ? -1 : 1;
+            } else {
+                direction[i] = bar.close > upperBand ? 1 : -1;
+            }
+            value[i] = direction[i] === 1 ? lowerBand : upperBand;
+        });
+
+        return { value, direction };
+    }
+
+    // Slow stochastic: %K smoothed over `smoothing` bars, %D its `signal`-bar average
+    static stochastic(bars, { period, smoothing, signal } = INDICATOR_SETTINGS.stochastic) {
+        const rawK = bars.map((bar, i) => {
+            if (i < period - 1) return null;
+            const window = bars.slice(i - period + 1, i + 1);
+            const highest = Math.max(...window.map(item => item.high ?? item.close));
+            const lowest = Math.min(...window.map(item => item.low ?? item.close));
+            return highest > lowest ? (bar.close - lowest) / (highest - lowest) * 100 : 50;
+        });
+        const k = this.sma(rawK, smoothing);
+        return { k, d: this.sma(k, signal) };
+    }
+
+    static compute(bars) {
+        const closes = bars.map(bar => bar.close);
+        return {
+            macd: this.macd(closes),
+            bollinger: this.bollinger(closes),
+            atr: this.atr(bars),
+            supertrend: this.supertrend(bars),
+            stochastic: this.stochastic(bars)
+        };
+    }
+
+    // Readings for bars[index] as flat rule variables (null where not warmed up)
+    static valuesAt(computed, index) {
+        const at = series => (index >= 0 && index < series.length ? series[index] : null);
+        return {
+            macd: at(computed.macd.line),
+            macd_signal: at(computed.macd.signal),
+            macd_histogram: at(computed.macd.histogram),
+            bb_upper: at(computed.bollinger.upper),
+            bb_middle: at(computed.bollinger.middle),
+            bb_lower: at(computed.bollinger.lower),
+            bb_percent_b: at(computed.bollinger.percentB),
+            bb_bandwidth: at(computed.bollinger.bandwidth),
+            atr: at(computed.atr),
+            supertrend: at(computed.supertrend.value),
+            supertrend_direction: at(computed.supertrend.direction),
+            stoch_k: at(computed.stochastic.k),
+            stoch_d: at(computed.stochastic.d)
+        };
+    }
+
+    // One-line readings for the indicator cards; tone is positive, negative or neutral
+    static interpret(latest, previous = {}, price = null) {
+        const known = value => value !== null && value !== undefined;
+        const readings = {};
+
+        if (known(latest.macd_histogram)) {
+            const crossed = known(previous.macd_histogram) && Math.sign(previous.macd_histogram) !== Math.sign(latest.macd_histogram);
+            const bullish = latest.macd_histogram > 0;
+            const widening = known(previous.macd_histogram) && Math.abs(latest.macd_histogram) > Math.abs(previous.macd_histogram);
+            readings.macd = {
+                tone: bullish ? 'positive' : 'negative',
+                text: crossed
+                    ? `MACD just crossed ${bullish ? 'above' : 'below'} its signal line`
+                    : `MACD ${bullish ? 'above' : 'below'} signal, momentum ${widening ? 'strengthening' : 'fading'}`
+            };
+        }
+
+        if (known(latest.bb_percent_b)) {
+            const percentB = latest.bb_percent_b;
+            readings.bollinger = percentB > 1
+                ? { tone: 'negative', text: 'Closed above the upper band - stretched' }
+                : percentB < 0
+                    ? { tone: 'positive', text: 'Closed below the lower band - oversold' }
+                    : { tone: 'neutral', text: `Inside the bands (%B ${(percentB * 100).toFixed(0)}), width ${latest.bb_bandwidth.toFixed(1)}%` };
+        }
+
+        if (known(latest.atr)) {
+            readings.atr = {
+                tone: 'neutral',
+                text: price ? `Typical daily range is ${(latest.atr / price * 100).toFixed(2)}% of price` : 'Average true range'
+            };
+        }
+
+        if (known(latest.supertrend_direction)) {
+            const up = latest.supertrend_direction === 1;
+            const flipped = known(previous.supertrend_direction) && previous.supertrend_direction !== latest.supertrend_direction;
+            readings.supertrend = {
+                tone: up ? 'positive' : 'negative',
+                text: `${flipped ? 'Flipped to' : 'In'} ${up ? 'uptrend - line is support' : 'downtrend - line is resistance'}`
+            };
+        }
+
+        if (known(latest.stoch_k) && known(latest.stoch_d)) {
+            const zone = latest.stoch_k > 80 ? 'overbought' : (latest.stoch_k < 20 ? 'oversold' : null);
+            readings.stochastic = {
+                tone: zone === 'oversold' ? 'positive' : (zone === 'overbought' ? 'negative' : 'neutral'),
+                text: `${zone ? `${zone.charAt(0).toUpperCase() + zone.slice(1)}, ` : ''}%K ${latest.stoch_k > latest.stoch_d ? 'above' : 'below'} %D`
+            };
+        }
+
+        return readings;
+    }
+}
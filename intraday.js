@@ -0,0 +1,195 @@
+// Intraday view for the Nifty EMA Tracker
+//
+// Fetches 1, 5 or 15 minute bars for the dashboard symbol and runs the same fast/slow EMAs and
+// crossover detection as the daily analysis, plus the session VWAP. A few earlier sessions are
+// loaded once so the slow EMA is warmed up at the open; later refreshes only fetch today's bars.
+// Index quotes often come without volume, in which case the VWAP falls back to the session's
+// average typical price. The intraday momentum signal is shown beside the daily one but does not
+// vote in the combined signal.
+const INTRADAY_INTERVALS = {
+    '1m': '1 min',
+    '5m': '5 min',
+    '15m': '15 min'
+};
+
+class IntradayView {
+    constructor(tracker, storageKey = 'nifty_intraday_interval') {
+        this.tracker = tracker;
+        this.storageKey = storageKey;
+        this.WARMUP_RANGE = '5d';
+        this.interval = appStorage.get(storageKey) || '5m';
+        this.bars = [];
+        this.symbol = null;
+        this.error = null;
+        this.provenance = null;
+        this.analysis = null;
+    }
+
+    setInterval(interval) {
+        if (!(interval in INTRADAY_INTERVALS) || interval === this.interval) return;
+        this.interval = interval;
+        appStorage.set(this.storageKey, interval);
+        this.bars = [];
+    }
+
+    async refresh() {
+        const tracker = this.tracker;
+        if (this.symbol !== tracker.SYMBOL) {
+            this.symbol = tracker.SYMBOL;
+            this.bars = [];
+        }
+
+        try {
+            const range = this.bars.length > 0 ? '1d' : this.WARMUP_RANGE;
+            const fetched = await tracker.provider.getIntradayHistory(this.symbol, this.interval, range);
+            const byTime = new Map(this.bars.map(bar => [bar.time, bar]));
+            fetched.forEach(bar => byTime.set(bar.time, bar));
+            this.bars = [...byTime.values()].sort((a, b) => a.time.localeCompare(b.time));
+            this.error = null;
+            this.provenance = fetched.provenance || { source: 'live', at: new Date().toISOString() };
+        } catch (error) {
+            console.error('Error fetching intraday data:', error);
+            this.error = error.message;
+        }
+    }
+
+    // As the last successful fetch reported it; its bars are shown as cached once a refresh fails
+    getProvenance() {
+        if (this.bars.length === 0 || !this.provenance) return null;
+        if (this.error && this.provenance.source === 'live') return { source: 'cached', at: this.provenance.at };
+        return this.provenance;
+    }
+
+    // Cumulative VWAP over one session's bars, aligned with them
+    calculateVWAP(bars) {
+        const hasVolume = bars.some(bar => bar.volume > 0);
+        let totalValue = 0;
+        let totalWeight = 0;
+
+        return bars.map(bar => {
+            const typical = (bar.high + bar.low + bar.close) / 3;
+            const weight = hasVolume ? (bar.volume || 0) : 1;
+            totalValue += typical * weight;
+            totalWeight += weight;
+            return totalWeight > 0 ? totalValue / totalWeight : typical;
+        });
+    }
+
+    analyze() {
+        const tracker = this.tracker;
+        const fastPeriod = tracker.THRESHOLDS.EMA_PERIOD_20;
+        const slowPeriod = tracker.THRESHOLDS.EMA_PERIOD_50;
+        if (this.bars.length <= slowPeriod) {
+            this.analysis = null;
+            return null;
+        }
+
+        const closes = this.bars.map(bar => bar.close);
+        const fastEMA = tracker.calculateEMA(closes, fastPeriod);
+        const slowEMA = tracker.calculateEMA(closes, slowPeriod);
+
+        const sessionDate = this.bars[this.bars.length - 1].date;
+        const session = this.bars.filter(bar => bar.date === sessionDate);
+        const vwap = this.calculateVWAP(session);
+
+        const last = this.bars[this.bars.length - 1];
+        const ema20 = fastEMA[fastEMA.length - 1];
+        const ema50 = slowEMA[slowEMA.length - 1];
+        const currentVWAP = vwap[vwap.length - 1];
+        const crossovers = tracker.findCrossovers(this.bars, fastEMA, slowEMA, fastPeriod, slowPeriod)
+            .filter(crossover => crossover.date === sessionDate);
+
+        const conditions = {
+            bullishTrend: ema20 > ema50,
+            priceAboveVWAP: last.close > currentVWAP,
+            priceAboveEMAs: last.close > ema20 && last.close > ema50
+        };
+        let signal = 'WAIT';
+        if (conditions.bullishTrend && conditions.priceAboveVWAP) {
+            signal = 'BUY';
+        } else if (!conditions.bullishTrend && !conditions.priceAboveVWAP) {
+            signal = 'AVOID';
+        }
+
+        this.analysis = {
+            interval: this.interval,
+            sessionDate,
+            price: last.close,
+            time: last.time,
+            ema20,
+            ema50,
+            vwap: currentVWAP,
+            volumeWeighted: session.some(bar => bar.volume > 0),
+            crossovers,
+            lastCrossover: crossovers.length > 0 ? crossovers[crossovers.length - 1] : null,
+            conditions,
+            signal,
+            description: this.describe(signal, conditions)
+        };
+        return this.analysis;
+    }
+
+    describe(signal, conditions) {
+        switch (signal) {
+            case 'BUY': return 'Fast EMA above slow and price above VWAP';
+            case 'AVOID': return 'Fast EMA below slow and price below VWAP';
+            default: return conditions.bullishTrend
+                ? 'Uptrend, but price is below VWAP'
+                : 'Downtrend, but price is holding above VWAP';
+        }
+    }
+
+    formatTime(time) {
+        return new Date(time).toLocaleTimeString('en-IN', { timeZone: 'Asia/Kolkata', hour: '2-digit', minute: '2-digit' });
+    }
+
+    render() {
+        const container = document.getElementById('intradayAnalysis');
+        if (!container) return;
+
+        const tracker = this.tracker;
+        document.querySelectorAll('[data-intraday-interval]').forEach(button => {
+            button.classList.toggle('active', button.dataset.intradayInterval === this.interval);
+        });
+
+        const analysis = this.analyze();
+        if (!analysis) {
+            container.innerHTML = `<p class="card-meta">${this.error
+                ? `Intraday data unavailable: ${tracker.escapeHTML(this.error)}`
+                : 'Not enough intraday bars yet for the slow EMA'}</p>`;
+            return;
+        }
+
+        const trendClass = analysis.conditions.bullishTrend ? 'bullish' : 'bearish';
+        const crossoverText = analysis.lastCrossover
+            ? `${analysis.lastCrossover.type === 'BULLISH_CROSS' ? 'Bullish' : 'Bearish'} at ${this.formatTime(analysis.lastCrossover.time)}`
+            : 'None this session';
+
+        container.innerHTML = `
+            <div class="ema-values intraday-values">
+                <div class="ema-value">
+                    <div class="ema-label">${tracker.THRESHOLDS.EMA_PERIOD_20} EMA (${INTRADAY_INTERVALS[analysis.interval]})</div>
+                    <div class="ema-price">₹${tracker.formatNumber(analysis.ema20)}</div>
+                </div>
+                <div class="ema-value">
+                    <div class="ema-label">${tracker.THRESHOLDS.EMA_PERIOD_50} EMA (${INTRADAY_INTERVALS[analysis.interval]})</div>
+                    <div class="ema-price">₹${tracker.formatNumber(analysis.ema50)}</div>
+                </div>
+                <div class="ema-value">
+                    <div class="ema-label">${analysis.volumeWeighted ? 'VWAP' : 'Session avg (no volume)'}</div>
+                    <div class="ema-price ${analysis.conditions.priceAboveVWAP ? 'positive' : 'negative'}">₹${tracker.formatNumber(analysis.vwap)}</div>
+                </div>
+            </div>
+            <div class="ema-trend ${trendClass}">
+                <div>
+                    <div style="font-weight: 600; text-transform: uppercase;">
+                        ${analysis.conditions.bullishTrend ? 'Bullish' : 'Bearish'} intraday trend
+                    </div>
+                    <div style="font-size: 0.85rem; opacity: 0.8;">
+                        Last crossover: ${crossoverText} · Bar ${this.formatTime(analysis.time)}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+}
@@ -0,0 +1,105 @@
+// Signal journal for the Nifty EMA Tracker
+//
+// Signals are recomputed on every refresh, so the journal keeps an entry each time the combined,
+// value or momentum signal for a symbol changes: when, at what price, the signals before and after
+// and which strategy conditions flipped. Entries are never recomputed, so the timeline shows what
+// the dashboard actually said at the time, and outcome() measures how the index moved over the
+// months after any day. The page and the service worker's background refresh both write here
+// through appStorage, so the journal is read afresh on every call rather than held in memory.
+const JOURNAL_HORIZONS = {
+    '1M': 1,
+    '3M': 3,
+    '6M': 6,
+    '12M': 12
+};
+
+// Strategy conditions (see evaluateSignals in signal-engine.js) whose flips are recorded
+const JOURNAL_CONDITIONS = {
+    correction: 'Correction from ATH',
+    rsi: 'RSI oversold',
+    pe: 'PE attractive',
+    bullishTrend: 'Fast EMA above slow',
+    recentCross: 'Recent bullish cross',
+    priceAboveEMAs: 'Price above EMAs',
+    higherTimeframes: 'Higher timeframes agree'
+};
+
+class SignalJournal {
+    constructor(storageKey = 'nifty_journal') {
+        this.storageKey = storageKey;
+        this.LIMIT = 500;
+    }
+
+    get entries() {
+        const stored = appStorage.get(this.storageKey);
+        return Array.isArray(stored) ? stored : [];
+    }
+
+    // Add an entry if any signal differs from the last one; the first call records the starting
+    // point. Returns the new entry, or null when nothing changed.
+    record(signals, { price, date, at = new Date() }) {
+        if (!signals) return null;
+
+        const entries = this.entries;
+        const previous = entries.length > 0 ? entries[entries.length - 1] : null;
+        const current = {
+            value: signals.value.signal,
+            momentum: signals.momentum.signal,
+            combined: signals.combined.signal
+        };
+        const conditions = {};
+        Object.keys(JOURNAL_CONDITIONS).forEach(key => {
+            const source = key in signals.value.conditions ? signals.value.conditions : signals.momentum.conditions;
+            conditions[key] = Boolean(source[key]);
+        });
+
+        const changed = previous
+            ? Object.keys(current).filter(name => previous.signals[name] !== current[name])
+            : [];
+        if (previous && changed.length === 0) return null;
+
+        const entry = {
+            id: `${at.getTime().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+            at: at.toISOString(),
+            date,
+            price,
+            signals: current,
+            previous: previous ? previous.signals : null,
+            changed,
+            conditions,
+            flipped: previous
+                ? Object.keys(conditions).filter(key => key in previous.conditions && previous.conditions[key] !== conditions[key])
+                : []
+        };
+        appStorage.set(this.storageKey, [...entries, entry].slice(-this.LIMIT));
+        return entry;
+    }
+
+    // The last entry recorded on or before a date (YYYY-MM-DD), i.e. what the dashboard said then
+    entryOn(date) {
+        const entries = this.entries.filter(entry => entry.date <= date);
+        return entries.length > 0 ? entries[entries.length - 1] : null;
+    }
+
+    // Change from basePrice to the first close at least N months after date, per JOURNAL_HORIZONS;
+    // null for horizons the daily bars do not reach yet
+    outcome(date, basePrice, bars) {
+        const [year, month, day] = date.split('-').map(Number);
+        const result = {};
+        Object.entries(JOURNAL_HORIZONS).forEach(([label, months]) => {
+            // Same day N months on, or that month's last day (31 Jan + 1M is 28/29 Feb)
+            const lastDay = new Date(Date.UTC(year, month + months, 0)).getUTCDate();
+            const targetDate = new Date(Date.UTC(year, month - 1 + months, Math.min(day, lastDay))).toISOString().split('T')[0];
+
+            const bar = bars.find(item => item.date >= targetDate);
+            result[label] = bar && basePrice > 0
+                ? { date: bar.date, close: bar.close, change: (bar.close - basePrice) / basePrice * 100 }
+                : null;
+        });
+        return result;
+    }
+
+    clear() {
+        appStorage.remove(this.storageKey);
+    }
+}
@@ -0,0 +1,111 @@
+// Personal investment ledger for the Nifty EMA Tracker
+//
+// Each purchase is kept as its own lot ({ id, date, units, price, amount, signal }) so returns
+// can be shown per lot and against the combined signal that was showing when it was bought.
+class InvestmentLedger {
+    constructor(storageKey = 'nifty_ledger') {
+        this.storageKey = storageKey;
+        this.lots = this.load();
+    }
+
+    load() {
+        const stored = appStorage.get(this.storageKey);
+        return Array.isArray(stored) ? stored : [];
+    }
+
+    save() {
+        appStorage.set(this.storageKey, this.lots);
+    }
+
+    // Record a purchase given either units or an amount; the other is derived from price
+    addLot({ date, units, amount, price, signal }) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) throw new Error('Enter a valid purchase date');
+        if (!(price > 0)) throw new Error('Enter a purchase price above zero');
+        if (!(units > 0) && !(amount > 0)) throw new Error('Enter units or an amount above zero');
+
+        const lotUnits = units > 0 ? units : amount / price;
+        const lot = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+            date,
+            units: lotUnits,
+            price,
+            amount: lotUnits * price,
+            signal: signal || null
+        };
+
+        this.lots.push(lot);
+        this.lots.sort((a, b) => a.date.localeCompare(b.date));
+        this.save();
+        return lot;
+    }
+
+    removeLot(id) {
+        this.lots = this.lots.filter(lot => lot.id !== id);
+        this.save();
+    }
+
+    summarize(currentPrice, asOf = new Date()) {
+        const invested = this.lots.reduce((sum, lot) => sum + lot.amount, 0);
+        const units = this.lots.reduce((sum, lot) => sum + lot.units, 0);
+        const currentValue = units * currentPrice;
+
+        const lots = this.lots.map(lot => {
+            const value = lot.units * currentPrice;
+            return {
+                ...lot,
+                value,
+                gain: value - lot.amount,
+                gainPercent: (value - lot.amount) / lot.amount * 100,
+                xirr: InvestmentLedger.xirr([
+                    { date: new Date(lot.date), amount: -lot.amount },
+                    { date: asOf, amount: value }
+                ])
+            };
+        });
+
+        const cashFlows = this.lots.map(lot => ({ date: new Date(lot.date), amount: -lot.amount }));
+        cashFlows.push({ date: asOf, amount: currentValue });
+
+        return {
+            invested,
+            units,
+            currentValue,
+            gain: currentValue - invested,
+            gainPercent: invested > 0 ? (currentValue - invested) / invested * 100 : 0,
+            xirr: this.lots.length > 0 ? InvestmentLedger.xirr(cashFlows) : null,
+            lots
+        };
+    }
+
+    // Annualized money-weighted return; Newton-Raphson with a bisection fallback
+    static xirr(cashFlows) {
+        const start = cashFlows[0].date;
+        const years = flow => (flow.date - start) / (365 * 24 * 60 * 60 * 1000);
+        const npv = rate => cashFlows.reduce((sum, flow) => sum + flow.amount / Math.pow(1 + rate, years(flow)), 0);
+        const derivative = rate => cashFlows.reduce(
+            (sum, flow) => sum - years(flow) * flow.amount / Math.pow(1 + rate, years(flow) + 1), 0);
+
+        // Less than a day of history has no meaningful annualized rate
+        if (cashFlows.every(flow => years(flow) < 1 / 365)) return null;
+
+        let rate = 0.1;
+        for (let i = 0; i < 50; i++) {
+            const slope = derivative(rate);
+            if (slope === 0) break;
+            const next = rate - npv(rate) / slope;
+            if (!isFinite(next) || next <= -1) break;
+            if (Math.abs(next - rate) < 1e-7) return next;
+            rate = next;
+        }
+
+        let low = -0.9999;
+        let high = 10;
+        if (npv(low) * npv(high) > 0) return null;
+        for (let i = 0; i < 200; i++) {
+            const mid = (low + high) / 2;
+            if (npv(low) * npv(mid) <= 0) high = mid;
+            else low = mid;
+        }
+        return (low + high) / 2;
+    }
+}
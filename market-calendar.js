@@ -0,0 +1,214 @@
+// NSE trading calendar and market status for the Nifty EMA Tracker
+//
+// Holidays and special sessions follow the NSE equity segment circulars. The built-in table has
+// to be extended every December when NSE publishes the next year's list; until then a JSON file
+// in the same shape can be imported from the footer and is merged on top (kept in appStorage):
+//   { "holidays": { "2026-01-26": "Republic Day" },
+//     "specialSessions": { "2025-10-21": { "name": "Muhurat Trading", "start": "13:45", "end": "14:45" } } }
+// Times are IST. A special session gets its own 15 minute pre-open, even on a holiday.
+const NSE_CALENDAR = {
+    sessions: {
+        preOpen: { start: '09:00', end: '09:15' },
+        regular: { start: '09:15', end: '15:30' }
+    },
+    holidays: {
+        '2024-01-22': 'Special Holiday',
+        '2024-01-26': 'Republic Day',
+        '2024-03-08': 'Mahashivratri',
+        '2024-03-25': 'Holi',
+        '2024-03-29': 'Good Friday',
+        '2024-04-11': 'Id-Ul-Fitr (Ramadan Eid)',
+        '2024-04-17': 'Shri Ram Navami',
+        '2024-05-01': 'Maharashtra Day',
+        '2024-05-20': 'General Parliamentary Elections',
+        '2024-06-17': 'Bakri Id',
+        '2024-07-17': 'Moharram',
+        '2024-08-15': 'Independence Day',
+        '2024-10-02': 'Mahatma Gandhi Jayanti',
+        '2024-11-01': 'Diwali Laxmi Pujan',
+        '2024-11-15': 'Gurunanak Jayanti',
+        '2024-11-20': 'Maharashtra Assembly Elections',
+        '2024-12-25': 'Christmas',
+        '2025-02-26': 'Mahashivratri',
+        '2025-03-14': 'Holi',
+        '2025-03-31': 'Id-Ul-Fitr (Ramadan Eid)',
+        '2025-04-10': 'Shri Mahavir Jayanti',
+        '2025-04-14': 'Dr. Baba Saheb Ambedkar Jayanti',
+        '2025-04-18': 'Good Friday',
+        '2025-05-01': 'Maharashtra Day',
+        '2025-08-15': 'Independence Day',
+        '2025-08-27': 'Ganesh Chaturthi',
+        '2025-10-02': 'Mahatma Gandhi Jayanti / Dussehra',
+        '2025-10-21': 'Diwali Laxmi Pujan',
+        '2025-10-22': 'Balipratipada',
+        '2025-11-05': 'Prakash Gurpurb Sri Guru Nanak Dev',
+        '2025-12-25': 'Christmas',
+        '2026-01-26': 'Republic Day',
+        '2026-03-03': 'Holi',
+        '2026-03-26': 'Shri Ram Navami',
+        '2026-03-31': 'Shri Mahavir Jayanti',
+        '2026-04-03': 'Good Friday',
+        '2026-04-14': 'Dr. Baba Saheb Ambedkar Jayanti',
+        '2026-05-01': 'Maharashtra Day',
+        '2026-05-28': 'Bakri Id',
+        '2026-06-26': 'Muharram',
+        '2026-09-14': 'Ganesh Chaturthi',
+        '2026-10-02': 'Mahatma Gandhi Jayanti',
+        '2026-10-20': 'Dussehra',
+        '2026-11-10': 'Diwali Balipratipada',
+        '2026-11-24': 'Prakash Gurpurb Sri Guru Nanak Dev',
+        '2026-12-25': 'Christmas'
+    },
+    specialSessions: {
+        '2024-11-01': { name: 'Muhurat Trading', start: '18:00', end: '19:00' },
+        '2025-10-21': { name: 'Muhurat Trading', start: '13:45', end: '14:45' }
+    }
+};
+
+class MarketCalendar {
+    constructor(calendar = NSE_CALENDAR, storageKey = 'nifty_calendar') {
+        this.builtIn = calendar;
+        this.storageKey = storageKey;
+        this.PRE_OPEN_MINUTES = 15;
+        this.calendar = this.load();
+    }
+
+    load() {
+        const calendar = {
+            sessions: this.builtIn.sessions,
+            holidays: { ...this.builtIn.holidays },
+            specialSessions: { ...this.builtIn.specialSessions }
+        };
+        const stored = appStorage.get(this.storageKey);
+        if (stored) {
+            Object.assign(calendar.holidays, stored.holidays);
+            Object.assign(calendar.specialSessions, stored.specialSessions);
+        }
+        return calendar;
+    }
+
+    // Validate and store an imported calendar; returns how many days it added or changed
+    import(text) {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Calendar file is not valid JSON');
+        }
+
+        const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+        const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+        const holidays = parsed.holidays || {};
+        const specialSessions = parsed.specialSessions || {};
+
+        Object.entries(holidays).forEach(([date, name]) => {
+            if (!datePattern.test(date) || typeof name !== 'string') throw new Error(`Invalid holiday entry for ${date}`);
+        });
+        Object.entries(specialSessions).forEach(([date, session]) => {
+            if (!datePattern.test(date) || !session || !timePattern.test(session.start) ||
+                !timePattern.test(session.end) || session.start >= session.end) {
+                throw new Error(`Invalid special session for ${date}`);
+            }
+        });
+
+        appStorage.set(this.storageKey, { holidays, specialSessions });
+        this.calendar = this.load();
+        return Object.keys(holidays).length + Object.keys(specialSessions).length;
+    }
+
+    reset() {
+        appStorage.remove(this.storageKey);
+        this.calendar = this.load();
+    }
+
+    // Calendar date and minutes since midnight in IST
+    getISTParts(date) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-CA', {
+            timeZone: 'Asia/Kolkata',
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+        }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+
+        return {
+            date: `${parts.year}-${parts.month}-${parts.day}`,
+            minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+        };
+    }
+
+    toMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    toDate(day, minutes) {
+        const pad = value => String(value).padStart(2, '0');
+        return new Date(`${day}T${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}:00+05:30`);
+    }
+
+    addDays(day, count) {
+        const date = new Date(`${day}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + count);
+        return date.toISOString().split('T')[0];
+    }
+
+    // Trading sessions on a calendar day as [{ state, start, end }] in minutes, in order
+    getSessions(day) {
+        const special = this.calendar.specialSessions[day];
+        if (special) {
+            const start = this.toMinutes(special.start);
+            return [
+                { state: 'PRE_OPEN', start: start - this.PRE_OPEN_MINUTES, end: start },
+                { state: 'SPECIAL', start, end: this.toMinutes(special.end), name: special.name }
+            ];
+        }
+
+        const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+        if (weekday === 0 || weekday === 6 || this.calendar.holidays[day]) return [];
+
+        const { preOpen, regular } = this.calendar.sessions;
+        return [
+            { state: 'PRE_OPEN', start: this.toMinutes(preOpen.start), end: this.toMinutes(preOpen.end) },
+            { state: 'OPEN', start: this.toMinutes(regular.start), end: this.toMinutes(regular.end) }
+        ];
+    }
+
+    // { state: PRE_OPEN | OPEN | SPECIAL | HOLIDAY | CLOSED, label, next: { label, at } }
+    getStatus(now = new Date()) {
+        const today = this.getISTParts(now);
+        const sessions = this.getSessions(today.date);
+        const current = sessions.find(session => today.minutes >= session.start && today.minutes < session.end);
+
+        if (current) {
+            const following = sessions[sessions.indexOf(current) + 1];
+            return {
+                state: current.state,
+                label: current.state === 'PRE_OPEN' ? 'Pre-open' : (current.name || 'Market open'),
+                next: following
+                    ? { label: 'Opens', at: this.toDate(today.date, following.start) }
+                    : { label: 'Closes', at: this.toDate(today.date, current.end) }
+            };
+        }
+
+        const holiday = this.calendar.holidays[today.date];
+        const weekday = new Date(`${today.date}T00:00:00Z`).getUTCDay();
+        const state = holiday && weekday !== 0 && weekday !== 6 ? 'HOLIDAY' : 'CLOSED';
+        return {
+            state,
+            label: state === 'HOLIDAY' ? `Holiday: ${holiday}` : 'Market closed',
+            next: this.getNextOpen(today)
+        };
+    }
+
+    // Next session start after the given IST moment, looking a few weeks ahead
+    getNextOpen(today) {
+        for (let offset = 0; offset < 21; offset++) {
+            const day = this.addDays(today.date, offset);
+            const upcoming = this.getSessions(day).find(session => offset > 0 || session.start > today.minutes);
+            if (upcoming) {
+                return { label: upcoming.state === 'PRE_OPEN' ? 'Pre-open' : 'Opens', at: this.toDate(day, upcoming.start) };
+            }
+        }
+        return null;
+    }
+}
@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+// Command line signals for the Nifty EMA Tracker
+//
+// Reads a daily history file (the CSV/JSON the dashboard exports, or any file with date and close
+// columns) and prints the latest snapshot, EMA trend, last crossover and the value, momentum and
+// combined signals, computed by the same signal-engine.js the dashboard uses. For cron and scripts:
+//   node nifty-signal.js --from history.csv --json
+// Exits with 1 when the history cannot be read and 2 on bad arguments.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// The browser scripts share one global scope rather than exporting anything, so load them
+// into this one in index.html order
+const ENGINE_SCRIPTS = ['providers.js', 'history-io.js', 'signal-engine.js'];
+ENGINE_SCRIPTS.forEach(file => {
+    vm.runInThisContext(fs.readFileSync(path.join(__dirname, file), 'utf8'), { filename: file });
+});
+const { SignalEngine, HistoryTransfer } = vm.runInThisContext('({ SignalEngine, HistoryTransfer })');
+
+const USAGE = `Usage: nifty-signal --from <history.csv|history.json|-> [options]
+
+Options:
+  --from <file>   Daily history with at least date and close columns ("-" reads stdin)
+  --json          Print the result as JSON
+  --ath <value>   All-time high to measure the correction from (default: highest high in the file)
+  --pe <value>    Current PE ratio for the value strategy (default: unknown, condition not met)
+  --help          Show this help`;
+
+function parseArgs(argv) {
+    const options = { json: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            return argv[++i];
+        };
+        const number = () => {
+            const value = Number(next());
+            if (!isFinite(value) || value <= 0) throw new Error(`${arg} must be a positive number`);
+            return value;
+        };
+
+        switch (arg) {
+            case '--from': options.from = next(); break;
+            case '--json': options.json = true; break;
+            case '--ath': options.ath = number(); break;
+            case '--pe': options.pe = number(); break;
+            case '--help': case '-h': options.help = true; break;
+            default: throw new Error(`Unknown option ${arg}`);
+        }
+    }
+    if (!options.help && !options.from) throw new Error('--from is required');
+    return options;
+}
+
+function buildReport(bars, options) {
+    const engine = new SignalEngine();
+    const last = bars[bars.length - 1];
+    const analysis = engine.analyzeBars(bars, {
+        price: last.close,
+        allTimeHigh: options.ath,
+        peRatio: options.pe ?? null,
+        // Count days since the crossover up to the file's last session, not today
+        asOf: new Date(last.date)
+    });
+    const trend = analysis.emaTrend;
+    const signal = result => ({ signal: result.signal, description: result.description });
+
+    return {
+        date: last.date,
+        sessions: bars.length,
+        snapshot: {
+            close: last.close,
+            all_time_high: analysis.allTimeHigh,
+            correction: analysis.correction,
+            rsi: analysis.rsi,
+            pe_ratio: options.pe ?? null
+        },
+        trend: {
+            trend: trend.trend,
+            ema_fast: trend.ema20,
+            ema_slow: trend.ema50,
+            periods: [engine.THRESHOLDS.EMA_PERIOD_20, engine.THRESHOLDS.EMA_PERIOD_50]
+        },
+        last_crossover: trend.lastCrossover
+            ? { date: trend.lastCrossover.date, type: trend.lastCrossover.type, price: trend.lastCrossover.price, days_ago: trend.daysSinceCross }
+            : null,
+        signals: {
+            value: signal(analysis.signals.value),
+            momentum: signal(analysis.signals.momentum),
+            combined: signal(analysis.signals.combined)
+        }
+    };
+}
+
+function formatReport(report, source) {
+    const number = value => (value === null || value === undefined
+        ? '--'
+        : value.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 }));
+    const [fast, slow] = report.trend.periods;
+    const cross = report.last_crossover;
+
+    return [
+        `Signals as of ${report.date} (${report.sessions} sessions from ${source})`,
+        '',
+        `  Close        ${number(report.snapshot.close)}`,
+        `  ATH          ${number(report.snapshot.all_time_high)} (${number(report.snapshot.correction)}%)`,
+        `  RSI          ${number(report.snapshot.rsi)}`,
+        `  ${`${fast} EMA`.padEnd(13)}${number(report.trend.ema_fast)}`,
+        `  ${`${slow} EMA`.padEnd(13)}${number(report.trend.ema_slow)}`,
+        `  Trend        ${report.trend.trend}`,
+        `  Last cross   ${cross ? `${cross.type === 'BULLISH_CROSS' ? 'Bullish' : 'Bearish'} on ${cross.date} (${cross.days_ago} days ago)` : 'None'}`,
+        '',
+        ...['value', 'momentum', 'combined'].map(name => {
+            const { signal, description } = report.signals[name];
+            return `  ${(name.charAt(0).toUpperCase() + name.slice(1)).padEnd(13)}${signal.padEnd(12)}${description}`;
+        })
+    ].join('\n');
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`nifty-signal: ${error.message}\n\n${USAGE}`);
+        process.exit(2);
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    let report;
+    try {
+        const text = fs.readFileSync(options.from === '-' ? 0 : options.from, 'utf8');
+        const bars = HistoryTransfer.parse(text, options.from);
+        report = buildReport(bars, options);
+    } catch (error) {
+        console.error(`nifty-signal: ${error.message}`);
+        process.exit(1);
+    }
+
+    console.log(options.json ? JSON.stringify(report, null, 2) : formatReport(report, options.from === '-' ? 'stdin' : options.from));
+}
+
+main();
@@ -0,0 +1,106 @@
+// Opt-in signal and crossover notifications for the Nifty EMA Tracker
+//
+// The last seen signals and crossover per symbol are kept in appStorage, which every open tab
+// shares, so a change is announced once no matter how many tabs refresh. Notifications go through
+// the service worker registration so clicking one can focus (or open) the dashboard on the
+// relevant section; sw.js handles the click. The service worker uses the same class for
+// notifications raised by the background refresh (see background-refresh.js).
+class SignalNotifier {
+    constructor(storageKey = 'nifty_notifications') {
+        this.storageKey = storageKey;
+    }
+
+    static isSupported() {
+        return typeof Notification !== 'undefined' && (Boolean(self.registration) || 'serviceWorker' in navigator);
+    }
+
+    load() {
+        return appStorage.get(this.storageKey) || { enabled: false, symbols: {} };
+    }
+
+    save(state) {
+        appStorage.set(this.storageKey, state);
+    }
+
+    get enabled() {
+        return this.load().enabled && SignalNotifier.isSupported() && Notification.permission === 'granted';
+    }
+
+    // Must be called from a user gesture so the browser shows the permission prompt
+    async enable() {
+        if (!SignalNotifier.isSupported()) throw new Error('Notifications are not supported in this browser');
+
+        const permission = await Notification.requestPermission();
+        if (permission !== 'granted') throw new Error('Notification permission was not granted');
+
+        // Start from a clean baseline so old changes are not announced on opt-in
+        this.save({ enabled: true, symbols: {} });
+    }
+
+    disable() {
+        this.save({ ...this.load(), enabled: false });
+    }
+
+    // Compare against the last recorded state and notify on changes; the first look only records
+    async check(symbol, name, signals, lastCrossover) {
+        if (!this.enabled || !signals) return;
+
+        const state = this.load();
+        const previous = state.symbols[symbol];
+        const current = {
+            value: signals.value.signal,
+            momentum: signals.momentum.signal,
+            combined: signals.combined.signal,
+            crossover: lastCrossover ? { type: lastCrossover.type, date: lastCrossover.date } : null
+        };
+        if (!previous) {
+            state.symbols[symbol] = current;
+            this.save(state);
+            return;
+        }
+
+        // Keep the newest crossover seen so a re-tuned EMA period cannot re-announce an old one
+        const crossover = current.crossover;
+        const isNewCrossover = crossover && (!previous.crossover || crossover.date > previous.crossover.date);
+        state.symbols[symbol] = { ...current, crossover: isNewCrossover ? crossover : previous.crossover };
+        this.save(state);
+
+        const changes = ['combined', 'value', 'momentum']
+            .filter(key => previous[key] !== current[key])
+            .map(key => `${key.charAt(0).toUpperCase() + key.slice(1)}: ${previous[key]} → ${current[key]}`);
+        if (changes.length > 0) {
+            await this.show(`${name}: ${current.combined} signal`, {
+                body: changes.join('\n'),
+                tag: `signal-${symbol}-${current.combined}-${current.value}-${current.momentum}`,
+                data: { symbol, section: 'signalsSection' }
+            });
+        }
+
+        if (isNewCrossover) {
+            const bullish = crossover.type === 'BULLISH_CROSS';
+            await this.show(`${name}: ${bullish ? 'Bullish' : 'Bearish'} EMA crossover`, {
+                body: `Fast EMA crossed ${bullish ? 'above' : 'below'} the slow EMA on ${new Date(crossover.date).toLocaleDateString('en-IN')}`,
+                tag: `cross-${symbol}-${crossover.date}`,
+                data: { symbol, section: 'emaSection' }
+            });
+        }
+    }
+
+    async show(title, options) {
+        try {
+            // Inside the service worker its own registration is at hand
+            const registration = self.registration || await navigator.serviceWorker.ready;
+            await registration.showNotification(title, {
+                icon: './nifty50logo.png',
+                badge: './nifty50logo.png',
+                ...options,
+                data: {
+                    ...options.data,
+                    url: `./?symbol=${encodeURIComponent(options.data.symbol)}#${options.data.section}`
+                }
+            });
+        } catch (error) {
+            console.error('Error showing notification:', error);
+        }
+    }
+}
@@ -0,0 +1,355 @@
+// Dependency-free canvas price chart for the Nifty EMA Tracker
+//
+// Draws daily bars as a line or candlesticks with EMA overlays, crossover markers and
+// horizontal reference lines. Mouse wheel / trackpad pinch zooms around the pointer, dragging pans,
+// and hovering shows a crosshair with an OHLC + EMA tooltip.
+class PriceChart {
+    constructor(canvas, tooltip) {
+        this.canvas = canvas;
+        this.tooltip = tooltip;
+        this.ctx = canvas.getContext('2d');
+        this.mode = 'line';
+        this.data = { bars: [], overlays: [], crossovers: [], references: [] };
+        this.view = { start: 0, end: 0 };
+        this.hoverIndex = null;
+        this.drag = null;
+        this.PADDING = { top: 12, right: 72, bottom: 24, left: 8 };
+        this.MIN_VISIBLE = 10;
+
+        this.bindEvents();
+    }
+
+    // overlays: [{ label, color, values }] with values aligned to bars (null where undefined)
+    // references: [{ label, color, value }]
+    setData({ bars, overlays = [], crossovers = [], references = [] }) {
+        const keepView = this.data.bars.length === bars.length && this.view.end > 0;
+        this.data = { bars, overlays, crossovers, references };
+
+        if (!keepView) this.resetView();
+        this.draw();
+    }
+
+    setMode(mode) {
+        this.mode = mode === 'candles' ? 'candles' : 'line';
+        this.draw();
+    }
+
+    resetView() {
+        this.view = { start: 0, end: this.data.bars.length };
+        this.draw();
+    }
+
+    bindEvents() {
+        this.canvas.addEventListener('wheel', event => {
+            event.preventDefault();
+            this.zoom(event.deltaY > 0 ? 1.15 : 1 / 1.15, this.indexAt(event.offsetX));
+        }, { passive: false });
+
+        this.canvas.addEventListener('pointerdown', event => {
+            this.canvas.setPointerCapture(event.pointerId);
+            this.drag = { x: event.offsetX, start: this.view.start, end: this.view.end };
+        });
+
+        this.canvas.addEventListener('pointermove', event => {
+            if (this.drag) {
+                const barWidth = this.plotWidth() / (this.drag.end - this.drag.start);
+                const shift = Math.round((this.drag.x - event.offsetX) / barWidth);
+                this.pan(this.drag.start + shift, this.drag.end + shift);
+            }
+            this.hoverIndex = this.indexAt(event.offsetX);
+            this.draw();
+            this.showTooltip(event.offsetX, event.offsetY);
+        });
+
+        const endDrag = () => { this.drag = null; };
+        this.canvas.addEventListener('pointerup', endDrag);
+        this.canvas.addEventListener('pointercancel', endDrag);
+
+        this.canvas.addEventListener('pointerleave', () => {
+            this.hoverIndex = null;
+            this.drag = null;
+            if (this.tooltip) this.tooltip.hidden = true;
+            this.draw();
+        });
+
+        window.addEventListener('resize', () => this.draw());
+    }
+
+    zoom(factor, anchorIndex) {
+        const total = this.data.bars.length;
+        const visible = this.view.end - this.view.start;
+        const nextVisible = Math.min(total, Math.max(this.MIN_VISIBLE, Math.round(visible * factor)));
+        const anchor = anchorIndex === null ? (this.view.start + this.view.end) / 2 : anchorIndex;
+        const ratio = visible > 0 ? (anchor - this.view.start) / visible : 0.5;
+        const start = Math.round(anchor - ratio * nextVisible);
+
+        this.pan(start, start + nextVisible);
+        this.draw();
+    }
+
+    pan(start, end) {
+        const total = this.data.bars.length;
+        const visible = end - start;
+        const clampedStart = Math.max(0, Math.min(start, total - visible));
+        this.view = { start: clampedStart, end: clampedStart + visible };
+    }
+
+    plotWidth() {
+        return this.canvas.clientWidth - this.PADDING.left - this.PADDING.right;
+    }
+
+    plotHeight() {
+        return this.canvas.clientHeight - this.PADDING.top - this.PADDING.bottom;
+    }
+
+    indexAt(x) {
+        const visible = this.view.end - this.view.start;
+        if (visible <= 0) return null;
+        const index = this.view.start + Math.floor((x - this.PADDING.left) / (this.plotWidth() / visible));
+        return index >= this.view.start && index < this.view.end ? index : null;
+    }
+
+    color(name) {
+        return getComputedStyle(document.documentElement).getPropertyValue(name).trim() || name;
+    }
+
+    draw() {
+        const { canvas, ctx } = this;
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+        const ratio = window.devicePixelRatio || 1;
+
+        if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+            canvas.width = Math.round(width * ratio);
+            canvas.height = Math.round(height * ratio);
+        }
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+
+        const bars = this.data.bars.slice(this.view.start, this.view.end);
+        if (bars.length === 0) return;
+
+        const scale = this.computeScale(bars);
+        this.drawGrid(scale, bars);
+        this.drawReferences(scale);
+
+        if (this.mode === 'candles') {
+            this.drawCandles(bars, scale);
+        } else {
+            this.drawLine(bars.map(bar => bar.close), this.color('--text-primary'), scale, 1.5);
+        }
+
+        this.data.overlays.forEach(overlay => {
+            this.drawLine(overlay.values.slice(this.view.start, this.view.end), overlay.color, scale, 1.25);
+        });
+
+        this.drawCrossovers(scale);
+        this.drawCrosshair(scale);
+    }
+
+    computeScale(bars) {
+        let min = Infinity;
+        let max = -Infinity;
+        bars.forEach(bar => {
+            min = Math.min(min, this.mode === 'candles' ? bar.low : bar.close);
+            max = Math.max(max, this.mode === 'candles' ? bar.high : bar.close);
+        });
+        this.data.overlays.forEach(overlay => {
+            overlay.values.slice(this.view.start, this.view.end).forEach(value => {
+                if (value === null || value === undefined) return;
+                min = Math.min(min, value);
+                max = Math.max(max, value);
+            });
+        });
+
+        // Pull in reference lines that sit close to the visible range, skip far-away ones
+        const span = max - min || max * 0.01;
+        this.data.references.forEach(reference => {
+            if (reference.value >= min - span * 0.15 && reference.value <= max + span * 0.15) {
+                min = Math.min(min, reference.value);
+                max = Math.max(max, reference.value);
+            }
+        });
+
+        const padding = (max - min) * 0.05 || 1;
+        min -= padding;
+        max += padding;
+
+        const barWidth = this.plotWidth() / bars.length;
+        return {
+            min,
+            max,
+            barWidth,
+            x: i => this.PADDING.left + (i + 0.5) * barWidth,
+            y: value => this.PADDING.top + (1 - (value - min) / (max - min)) * this.plotHeight()
+        };
+    }
+
+    drawGrid(scale, bars) {
+        const { ctx } = this;
+        const width = this.canvas.clientWidth;
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.06)';
+        ctx.fillStyle = this.color('--text-muted');
+        ctx.font = '11px sans-serif';
+        ctx.lineWidth = 1;
+
+        const steps = 5;
+        for (let i = 0; i <= steps; i++) {
+            const value = scale.min + (scale.max - scale.min) * (i / steps);
+            const y = scale.y(value);
+            ctx.beginPath();
+            ctx.moveTo(this.PADDING.left, y);
+            ctx.lineTo(width - this.PADDING.right, y);
+            ctx.stroke();
+            ctx.textAlign = 'left';
+            ctx.fillText(Math.round(value).toLocaleString('en-IN'), width - this.PADDING.right + 6, y + 4);
+        }
+
+        const labelEvery = Math.max(1, Math.ceil(bars.length / 6));
+        ctx.textAlign = 'center';
+        bars.forEach((bar, i) => {
+            if (i % labelEvery !== 0) return;
+            ctx.fillText(bar.date.slice(5), scale.x(i), this.canvas.clientHeight - 6);
+        });
+    }
+
+    drawReferences(scale) {
+        const { ctx } = this;
+        const width = this.canvas.clientWidth;
+        ctx.setLineDash([4, 4]);
+        ctx.font = '10px sans-serif';
+
+        this.data.references.forEach(reference => {
+            if (reference.value < scale.min || reference.value > scale.max) return;
+            const y = scale.y(reference.value);
+            ctx.strokeStyle = reference.color;
+            ctx.fillStyle = reference.color;
+            ctx.beginPath();
+            ctx.moveTo(this.PADDING.left, y);
+            ctx.lineTo(width - this.PADDING.right, y);
+            ctx.stroke();
+            ctx.textAlign = 'left';
+            ctx.fillText(reference.label, this.PADDING.left + 4, y - 4);
+        });
+
+        ctx.setLineDash([]);
+    }
+
+    drawLine(values, color, scale, lineWidth) {
+        const { ctx } = this;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = lineWidth;
+        ctx.beginPath();
+
+        let started = false;
+        values.forEach((value, i) => {
+            if (value === null || value === undefined) {
+                started = false;
+                return;
+            }
+            if (started) ctx.lineTo(scale.x(i), scale.y(value));
+            else ctx.moveTo(scale.x(i), scale.y(value));
+            started = true;
+        });
+
+        ctx.stroke();
+    }
+
+    drawCandles(bars, scale) {
+        const { ctx } = this;
+        const bodyWidth = Math.max(1, scale.barWidth * 0.6);
+        const up = this.color('--green');
+        const down = this.color('--red');
+
+        bars.forEach((bar, i) => {
+            const x = scale.x(i);
+            const color = bar.close >= bar.open ? up : down;
+            ctx.strokeStyle = color;
+            ctx.fillStyle = color;
+            ctx.lineWidth = 1;
+
+            ctx.beginPath();
+            ctx.moveTo(x, scale.y(bar.high));
+            ctx.lineTo(x, scale.y(bar.low));
+            ctx.stroke();
+
+            const top = scale.y(Math.max(bar.open, bar.close));
+            const bottom = scale.y(Math.min(bar.open, bar.close));
+            ctx.fillRect(x - bodyWidth / 2, top, bodyWidth, Math.max(1, bottom - top));
+        });
+    }
+
+    drawCrossovers(scale) {
+        const { ctx } = this;
+        const indexByDate = {};
+        this.data.bars.forEach((bar, i) => { indexByDate[bar.date] = i; });
+
+        this.data.crossovers.forEach(cross => {
+            const index = indexByDate[cross.date];
+            if (index === undefined || index < this.view.start || index >= this.view.end) return;
+
+            const x = scale.x(index - this.view.start);
+            const y = scale.y(cross.ema20);
+            const bullish = cross.type === 'BULLISH_CROSS';
+            ctx.fillStyle = this.color(bullish ? '--green' : '--red');
+            ctx.beginPath();
+            if (bullish) {
+                ctx.moveTo(x, y + 6);
+                ctx.lineTo(x - 6, y + 16);
+                ctx.lineTo(x + 6, y + 16);
+            } else {
+                ctx.moveTo(x, y - 6);
+                ctx.lineTo(x - 6, y - 16);
+                ctx.lineTo(x + 6, y - 16);
+            }
+            ctx.closePath();
+            ctx.fill();
+        });
+    }
+
+    drawCrosshair(scale) {
+        if (this.hoverIndex === null || this.hoverIndex < this.view.start || this.hoverIndex >= this.view.end) return;
+
+        const { ctx } = this;
+        const bar = this.data.bars[this.hoverIndex];
+        const x = scale.x(this.hoverIndex - this.view.start);
+        const y = scale.y(bar.close);
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x, this.PADDING.top);
+        ctx.lineTo(x, this.canvas.clientHeight - this.PADDING.bottom);
+        ctx.moveTo(this.PADDING.left, y);
+        ctx.lineTo(this.canvas.clientWidth - this.PADDING.right, y);
+        ctx.stroke();
+    }
+
+    showTooltip(x, y) {
+        if (!this.tooltip) return;
+        if (this.hoverIndex === null) {
+            this.tooltip.hidden = true;
+            return;
+        }
+
+        const bar = this.data.bars[this.hoverIndex];
+        const format = value => (value === null || value === undefined)
+            ? '--'
+            : value.toLocaleString('en-IN', { maximumFractionDigits: 2 });
+        const overlays = this.data.overlays.map(overlay => `
+            <div><span style="color: ${overlay.color}">${overlay.label}</span> ${format(overlay.values[this.hoverIndex])}</div>
+        `).join('');
+
+        this.tooltip.innerHTML = `
+            <div class="chart-tooltip-date">${bar.date}</div>
+            <div>O ${format(bar.open)} · H ${format(bar.high)}</div>
+            <div>L ${format(bar.low)} · C ${format(bar.close)}</div>
+            ${overlays}
+        `;
+        this.tooltip.hidden = false;
+
+        const flip = x > this.canvas.clientWidth / 2;
+        this.tooltip.style.left = flip ? `${x - this.tooltip.offsetWidth - 12}px` : `${x + 12}px`;
+        this.tooltip.style.top = `${Math.max(0, y - 20)}px`;
+    }
+}
@@ -0,0 +1,287 @@
+// Market data providers for the Nifty EMA Tracker
+//
+// Every provider exposes the same three methods and returns normalized data:
+//   getQuote(symbol)                      -> { price, previous_close, open, day_high, day_low,
+//                                              high_52w, low_52w, market_time, provenance }
+//   getDailyHistory(symbol, options)      -> [{ date, open, high, low, close, volume }]
+//       options: { from, to } (unix seconds) or { range: 'max' }, optional interval ('1d' | '1mo')
+//   getIntradayHistory(symbol, interval, range) -> [{ time, date, open, high, low, close, volume }]
+// provenance is { source: 'live' | 'cached' | 'stale' | 'file', at } where `at` is when the data
+// left its source (ISO time). Bar arrays carry the same as a `provenance` property.
+
+// Split CSV text into rows of cells per RFC 4180: a quoted field may hold commas, line breaks and
+// doubled quotes ("") and is unquoted; blank lines are dropped
+function parseCSVRows(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    const source = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    row.push(cell);
+    rows.push(row);
+
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+// Parse CSV text with a header row into an array of objects keyed by lower-cased column name
+function parseCSV(text) {
+    const [headerRow, ...rows] = parseCSVRows(text);
+    if (!headerRow) return [];
+
+    const headers = headerRow.map(header => header.trim().toLowerCase());
+    return rows.map(cells => {
+        const row = {};
+        headers.forEach((header, index) => {
+            row[header] = cells[index] !== undefined ? cells[index].trim() : '';
+        });
+        return row;
+    });
+}
+
+// Normalize a loose bar object (CSV row or JSON record) into the tracker's bar shape
+function normalizeBar(raw) {
+    const toNumber = value => {
+        if (value === null || value === undefined || value === '') return null;
+        // Thousands separators, as in "24,741.00"
+        const number = Number(typeof value === 'string' ? value.replace(/,/g, '') : value);
+        return isFinite(number) ? number : null;
+    };
+
+    const date = String(raw.date || raw.Date || '').slice(0, 10);
+    const close = toNumber(raw.close ?? raw.Close ?? raw['adj close']);
+
+    return {
+        date,
+        open: toNumber(raw.open ?? raw.Open) ?? close,
+        high: toNumber(raw.high ?? raw.High) ?? close,
+        low: toNumber(raw.low ?? raw.Low) ?? close,
+        close,
+        volume: toNumber(raw.volume ?? raw.Volume)
+    };
+}
+
+// Build a quote from the tail of a daily series, for sources without a live quote endpoint
+function quoteFromBars(bars) {
+    if (bars.length === 0) throw new Error('No bars available to build a quote');
+
+    const last = bars[bars.length - 1];
+    const previous = bars.length > 1 ? bars[bars.length - 2] : last;
+    const yearBars = bars.slice(-250);
+
+    return {
+        price: last.close,
+        previous_close: previous.close,
+        open: last.open,
+        day_high: last.high,
+        day_low: last.low,
+        high_52w: Math.max(...yearBars.map(bar => bar.high)),
+        low_52w: Math.min(...yearBars.map(bar => bar.low)),
+        market_time: Math.floor(new Date(last.date).getTime() / 1000)
+    };
+}
+
+// Where a response came from, from the headers sw.js puts on what it serves out of its cache
+function responseProvenance(response) {
+    const cachedAt = response.headers.get('sw-cache-date');
+    if (!cachedAt) return { source: 'live', at: new Date().toISOString() };
+    return { source: response.headers.get('sw-cache-stale') ? 'stale' : 'cached', at: cachedAt };
+}
+
+// Yahoo Finance v8 chart API
+class YahooProvider {
+    constructor(baseUrl = 'https://query1.finance.yahoo.com/v8/finance/chart/') {
+        this.type = 'yahoo';
+        this.baseUrl = baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`;
+    }
+
+    // The service worker replaces this so its background requests also fill the API cache
+    request(url) {
+        return fetch(url);
+    }
+
+    async fetchChart(symbol, query = '') {
+        const response = await this.request(`${this.baseUrl}${encodeURIComponent(symbol)}${query}`);
+
+        if (response.headers.get('sw-no-data')) throw new Error('Offline and no cached data for this request');
+        if (!response.ok) throw new Error(`Chart request failed with status ${response.status}`);
+
+        const data = await response.json();
+        if (!data.chart || !data.chart.result || !data.chart.result[0]) {
+            throw new Error('Unexpected chart response shape');
+        }
+        return { ...data.chart.result[0], provenance: responseProvenance(response) };
+    }
+
+    async getQuote(symbol) {
+        const result = await this.fetchChart(symbol);
+        const meta = result.meta;
+
+        return {
+            price: meta.regularMarketPrice || meta.previousClose,
+            previous_close: meta.previousClose ?? meta.chartPreviousClose,
+            open: meta.regularMarketOpen || meta.previousClose,
+            day_high: meta.regularMarketDayHigh,
+            day_low: meta.regularMarketDayLow,
+            high_52w: meta.fiftyTwoWeekHigh,
+            low_52w: meta.fiftyTwoWeekLow,
+            market_time: meta.regularMarketTime || null,
+            provenance: result.provenance
+        };
+    }
+
+    async getDailyHistory(symbol, options = {}) {
+        const interval = options.interval || '1d';
+        const query = options.range
+            ? `?range=${options.range}&interval=${interval}`
+            : `?period1=${options.from}&period2=${options.to}&interval=${interval}`;
+
+        return this.toBars(await this.fetchChart(symbol, query));
+    }
+
+    // range can reach back a few sessions (Yahoo keeps 1m bars for about a week)
+    async getIntradayHistory(symbol, interval = '5m', range = '1d') {
+        const result = await this.fetchChart(symbol, `?range=${range}&interval=${interval}`);
+        return this.toBars(result, true);
+    }
+
+    toBars(result, intraday = false) {
+        const timestamps = result.timestamp || [];
+        const quotes = result.indicators.quote[0];
+
+        const bars = timestamps.map((timestamp, index) => {
+            const time = new Date(timestamp * 1000).toISOString();
+            const bar = {
+                date: time.split('T')[0],
+                close: quotes.close[index],
+                high: quotes.high[index],
+                low: quotes.low[index],
+                open: quotes.open[index],
+                volume: quotes.volume[index]
+            };
+            if (intraday) bar.time = time;
+            return bar;
+        }).filter(item => item.close !== null && item.close !== undefined);
+        bars.provenance = result.provenance;
+        return bars;
+    }
+}
+
+// Yahoo-compatible chart API served from a configurable base URL (e.g. a local stand-in server)
+class CustomURLProvider extends YahooProvider {
+    constructor(baseUrl = 'http://localhost:8080/v8/finance/chart/') {
+        super(baseUrl);
+        this.type = 'custom';
+    }
+}
+
+// Static CSV or JSON file of daily bars; the quote is derived from the last two bars
+class FileProvider {
+    constructor(fileUrl = './data/nifty.csv') {
+        this.type = 'file';
+        this.fileUrl = fileUrl;
+        this.bars = null;
+    }
+
+    async loadBars() {
+        if (this.bars) return this.bars;
+
+        const response = await fetch(this.fileUrl);
+        if (!response.ok) throw new Error(`Failed to load ${this.fileUrl}`);
+
+        const text = await response.text();
+        this.bars = FileProvider.parse(text, this.fileUrl);
+        return this.bars;
+    }
+
+    static parse(text, name = '') {
+        const trimmed = text.trim();
+        const isJSON = name.toLowerCase().endsWith('.json') || trimmed.startsWith('[') || trimmed.startsWith('{');
+
+        let records;
+        if (isJSON) {
+            const parsed = JSON.parse(trimmed);
+            records = Array.isArray(parsed) ? parsed : (parsed.bars || parsed.data || []);
+        } else {
+            records = parseCSV(trimmed);
+        }
+
+        return records
+            .map(normalizeBar)
+            .filter(bar => /^\d{4}-\d{2}-\d{2}$/.test(bar.date) && bar.close !== null)
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    async getQuote() {
+        return { ...quoteFromBars(await this.loadBars()), provenance: { source: 'file', at: null } };
+    }
+
+    async getDailyHistory(symbol, options = {}) {
+        const bars = await this.loadBars();
+        const from = options.range ? '' : new Date(options.from * 1000).toISOString().split('T')[0];
+        const to = options.range ? '\uffff' : new Date(options.to * 1000).toISOString().split('T')[0];
+
+        const selected = bars.filter(bar => bar.date >= from && bar.date <= to);
+        selected.provenance = { source: 'file', at: null };
+        return selected;
+    }
+
+    async getIntradayHistory() {
+        throw new Error('Intraday history is not available from a file source');
+    }
+}
+
+const MarketDataProviders = {
+    DEFAULT_CONFIG: { type: 'yahoo', baseUrl: '', fileUrl: '' },
+
+    create(config = {}) {
+        switch (config.type) {
+            case 'custom': return new CustomURLProvider(config.baseUrl || undefined);
+            case 'file': return new FileProvider(config.fileUrl || undefined);
+            default: return new YahooProvider();
+        }
+    },
+
+    // Identifies a configured source, so values measured on one are not reused for another
+    id(config = {}) {
+        switch (config.type) {
+            case 'custom': return `custom:${config.baseUrl}`;
+            case 'file': return `file:${config.fileUrl}`;
+            default: return 'yahoo';
+        }
+    },
+
+    loadConfig() {
+        return { ...this.DEFAULT_CONFIG, ...appStorage.get('nifty_provider') };
+    },
+
+    saveConfig(config) {
+        appStorage.set('nifty_provider', config);
+    }
+};
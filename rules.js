@@ -0,0 +1,308 @@
+// Declarative custom strategies for the Nifty EMA Tracker
+//
+// A strategy is plain data saved through appStorage (see storage.js):
+//   { id, name, rules: [{ expression, weight }], buyScore, weight, enabled }
+// Each rule is a boolean expression over indicator variables, e.g.
+//   rsi < 35 AND close < dma_200 * 0.97 AND (ema20 > ema50 OR correction <= -10)
+// The strategy reads BUY when the weights of its met rules reach buyScore (0-1) of the total,
+// and WAIT otherwise. Expressions are parsed into a small AST; nothing is passed to eval.
+const RULE_VARIABLES = {
+    close: 'Current price / close',
+    open: 'Session open',
+    high: 'Session high',
+    low: 'Session low',
+    prev_close: 'Previous close',
+    rsi: 'RSI',
+    dma_200: '200 DMA (selected SMA/EMA)',
+    ema20: 'Fast EMA',
+    ema50: 'Slow EMA',
+    correction: 'Correction from ATH in % (negative)',
+    ath: 'All-time high',
+    high_52w: '52 week high',
+    low_52w: '52 week low',
+    pe: 'PE ratio',
+    trend_bullish: '1 when fast EMA is above slow EMA, else 0',
+    days_since_cross: 'Days since the last EMA crossover',
+    macd: 'MACD line (12, 26)',
+    macd_signal: 'MACD signal line (9)',
+    macd_histogram: 'MACD minus its signal line',
+    bb_upper: 'Upper Bollinger Band (20, 2)',
+    bb_middle: 'Middle Bollinger Band (20 SMA)',
+    bb_lower: 'Lower Bollinger Band',
+    bb_percent_b: 'Position within the bands (0 = lower, 1 = upper)',
+    bb_bandwidth: 'Band width in % of the middle band',
+    atr: 'Average true range (14)',
+    supertrend: 'Supertrend line (10, 3)',
+    supertrend_direction: '1 in a Supertrend uptrend, -1 in a downtrend',
+    stoch_k: 'Stochastic %K (14, 3)',
+    stoch_d: 'Stochastic %D (3)'
+};
+
+class RuleExpression {
+    static tokenize(text) {
+        const tokens = [];
+        const pattern = /\s*(\d+(?:\.\d+)?|[A-Za-z_][A-Za-z0-9_]*|<=|>=|==|!=|&&|\|\||[<>()+\-*/])/y;
+        let match;
+        let position = 0;
+
+        while (position < text.length) {
+            pattern.lastIndex = position;
+            match = pattern.exec(text);
+            if (!match) {
+                const rest = text.slice(position);
+                if (rest.trim() === '') break;
+                const offset = position + rest.length - rest.trimStart().length;
+                throw new Error(`Unexpected character "${text[offset]}" at position ${offset + 1}`);
+            }
+            position = pattern.lastIndex;
+
+            const value = match[1];
+            const upper = value.toUpperCase();
+            if (/^\d/.test(value)) tokens.push({ type: 'number', value: parseFloat(value) });
+            else if (upper === 'AND' || value === '&&') tokens.push({ type: 'and' });
+            else if (upper === 'OR' || value === '||') tokens.push({ type: 'or' });
+            else if (upper === 'NOT') tokens.push({ type: 'not' });
+            else if (/^[A-Za-z_]/.test(value)) tokens.push({ type: 'identifier', value: value.toLowerCase() });
+            else tokens.push({ type: 'operator', value });
+        }
+
+        return tokens;
+    }
+
+    // Recursive descent: or > and > not > comparison > sum > product > unary > primary
+    static parse(text) {
+        const tokens = RuleExpression.tokenize(text);
+        let index = 0;
+
+        const peek = () => tokens[index];
+        const isOperator = (...values) => peek() && peek().type === 'operator' && values.includes(peek().value);
+        const expect = value => {
+            if (!isOperator(value)) throw new Error(`Expected "${value}"`);
+            index++;
+        };
+
+        const parseOr = () => {
+            let node = parseAnd();
+            while (peek() && peek().type === 'or') {
+                index++;
+                node = { type: 'or', left: node, right: parseAnd() };
+            }
+            return node;
+        };
+        const parseAnd = () => {
+            let node = parseNot();
+            while (peek() && peek().type === 'and') {
+                index++;
+                node = { type: 'and', left: node, right: parseNot() };
+            }
+            return node;
+        };
+        const parseNot = () => {
+            if (peek() && peek().type === 'not') {
+                index++;
+                return { type: 'not', operand: parseNot() };
+            }
+            return parseComparison();
+        };
+        const parseComparison = () => {
+            const left = parseSum();
+            if (isOperator('<', '<=', '>', '>=', '==', '!=')) {
+                const operator = tokens[index++].value;
+                return { type: 'compare', operator, left, right: parseSum() };
+            }
+            return left;
+        };
+        const parseSum = () => {
+            let node = parseProduct();
+            while (isOperator('+', '-')) {
+                const operator = tokens[index++].value;
+                node = { type: 'arithmetic', operator, left: node, right: parseProduct() };
+            }
+            return node;
+        };
+        const parseProduct = () => {
+            let node = parseUnary();
+            while (isOperator('*', '/')) {
+                const operator = tokens[index++].value;
+                node = { type: 'arithmetic', operator, left: node, right: parseUnary() };
+            }
+            return node;
+        };
+        const parseUnary = () => {
+            if (isOperator('-')) {
+                index++;
+                return { type: 'arithmetic', operator: '-', left: { type: 'number', value: 0 }, right: parseUnary() };
+            }
+            return parsePrimary();
+        };
+        const parsePrimary = () => {
+            const token = peek();
+            if (!token) throw new Error('Expression ended unexpectedly');
+
+            if (token.type === 'number') {
+                index++;
+                return { type: 'number', value: token.value };
+            }
+            if (token.type === 'identifier') {
+                if (!(token.value in RULE_VARIABLES)) throw new Error(`Unknown indicator "${token.value}"`);
+                index++;
+                return { type: 'variable', name: token.value };
+            }
+            if (isOperator('(')) {
+                index++;
+                const node = parseOr();
+                expect(')');
+                return node;
+            }
+            throw new Error(`Unexpected "${token.value || token.type.toUpperCase()}"`);
+        };
+
+        if (tokens.length === 0) throw new Error('Expression is empty');
+        const tree = parseOr();
+        if (index < tokens.length) throw new Error(`Unexpected "${tokens[index].value || tokens[index].type.toUpperCase()}"`);
+        return tree;
+    }
+
+    // Missing indicator values propagate as null and make any comparison false
+    static evaluate(node, context) {
+        switch (node.type) {
+            case 'number':
+                return node.value;
+            case 'variable': {
+                const value = context[node.name];
+                return typeof value === 'number' && isFinite(value) ? value : null;
+            }
+            case 'not':
+                return !RuleExpression.truthy(RuleExpression.evaluate(node.operand, context));
+            case 'and':
+                return RuleExpression.truthy(RuleExpression.evaluate(node.left, context)) &&
+                       RuleExpression.truthy(RuleExpression.evaluate(node.right, context));
+            case 'or':
+                return RuleExpression.truthy(RuleExpression.evaluate(node.left, context)) ||
+                       RuleExpression.truthy(RuleExpression.evaluate(node.right, context));
+            case 'arithmetic': {
+                const left = RuleExpression.evaluate(node.left, context);
+                const right = RuleExpression.evaluate(node.right, context);
+                if (typeof left !== 'number' || typeof right !== 'number') return null;
+                if (node.operator === '+') return left + right;
+                if (node.operator === '-') return left - right;
+                if (node.operator === '*') return left * right;
+                return right === 0 ? null : left / right;
+            }
+            case 'compare': {
+                const left = RuleExpression.evaluate(node.left, context);
+                const right = RuleExpression.evaluate(node.right, context);
+                if (typeof left !== 'number' || typeof right !== 'number') return false;
+                switch (node.operator) {
+                    case '<': return left < right;
+                    case '<=': return left <= right;
+                    case '>': return left > right;
+                    case '>=': return left >= right;
+                    case '==': return left === right;
+                    default: return left !== right;
+                }
+            }
+            default:
+                return null;
+        }
+    }
+
+    static truthy(value) {
+        return typeof value === 'number' ? value !== 0 : value === true;
+    }
+}
+
+class CustomStrategyStore {
+    constructor(storageKey = 'nifty_strategies') {
+        this.storageKey = storageKey;
+        this.strategies = this.load();
+        this.parsed = new Map();
+    }
+
+    // Parsed rules are cached so replaying history does not re-parse every day
+    compile(expression) {
+        if (!this.parsed.has(expression)) {
+            this.parsed.set(expression, RuleExpression.parse(expression));
+        }
+        return this.parsed.get(expression);
+    }
+
+    load() {
+        const stored = appStorage.get(this.storageKey);
+        return Array.isArray(stored) ? stored : [];
+    }
+
+    save() {
+        appStorage.set(this.storageKey, this.strategies);
+    }
+
+    // Validates every rule before storing; throws with the first parse error
+    add({ name, rules, buyScore = 1, weight = 1 }) {
+        if (!name || !name.trim()) throw new Error('Give the strategy a name');
+        if (!rules || rules.length === 0) throw new Error('Add at least one rule');
+        if (!(weight > 0)) throw new Error('Strategy weight must be above zero');
+        if (!(buyScore > 0 && buyScore <= 1)) throw new Error('Buy score must be between 0 and 1');
+
+        rules.forEach((rule, i) => {
+            if (!(rule.weight > 0)) throw new Error(`Rule ${i + 1}: weight must be above zero`);
+            try {
+                RuleExpression.parse(rule.expression);
+            } catch (error) {
+                throw new Error(`Rule ${i + 1}: ${error.message}`);
+            }
+        });
+
+        const strategy = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+            name: name.trim(),
+            rules,
+            buyScore,
+            weight,
+            enabled: true
+        };
+        this.strategies.push(strategy);
+        this.save();
+        return strategy;
+    }
+
+    remove(id) {
+        this.strategies = this.strategies.filter(strategy => strategy.id !== id);
+        this.save();
+    }
+
+    toggle(id) {
+        const strategy = this.strategies.find(item => item.id === id);
+        if (strategy) {
+            strategy.enabled = !strategy.enabled;
+            this.save();
+        }
+    }
+
+    // Evaluate enabled strategies against an indicator context
+    evaluate(context) {
+        return this.strategies.filter(strategy => strategy.enabled).map(strategy => {
+            const conditions = strategy.rules.map(rule => {
+                let met = false;
+                try {
+                    met = RuleExpression.truthy(RuleExpression.evaluate(this.compile(rule.expression), context));
+                } catch (error) {
+                    console.error(`Invalid rule in ${strategy.name}:`, error);
+                }
+                return { expression: rule.expression, weight: rule.weight, met };
+            });
+
+            const totalWeight = conditions.reduce((sum, condition) => sum + condition.weight, 0);
+            const metWeight = conditions.filter(condition => condition.met).reduce((sum, condition) => sum + condition.weight, 0);
+            const score = totalWeight > 0 ? metWeight / totalWeight : 0;
+
+            return {
+                id: strategy.id,
+                name: strategy.name,
+                weight: strategy.weight,
+                score,
+                signal: score >= strategy.buyScore ? 'BUY' : 'WAIT',
+                conditions
+            };
+        });
+    }
+}
@@ -0,0 +1,73 @@
+// User-editable strategy settings for the Nifty EMA Tracker
+//
+// Wraps the tracker's THRESHOLDS: loads saved overrides on top of the defaults, validates
+// edits field by field and across fields, and persists them through appStorage (see storage.js).
+const STRATEGY_SETTINGS_SCHEMA = [
+    { key: 'RSI_OVERSOLD', label: 'RSI oversold below', min: 1, max: 99, step: 1 },
+    { key: 'RSI_OVERBOUGHT', label: 'RSI overbought above', min: 1, max: 99, step: 1 },
+    { key: 'PE_ATTRACTIVE', label: 'PE attractive below', min: 1, max: 100, step: 0.1 },
+    { key: 'PE_EXPENSIVE', label: 'PE expensive above', min: 1, max: 100, step: 0.1 },
+    { key: 'CORRECTION_THRESHOLD', label: 'Correction from ATH (%)', min: 1, max: 90, step: 0.5 },
+    { key: 'EMA_PERIOD_20', label: 'Fast EMA period', min: 2, max: 200, step: 1, integer: true },
+    { key: 'EMA_PERIOD_50', label: 'Slow EMA period', min: 3, max: 250, step: 1, integer: true }
+];
+
+class StrategySettings {
+    constructor(defaults, storageKey = 'nifty_settings') {
+        this.defaults = { ...defaults };
+        this.storageKey = storageKey;
+    }
+
+    load() {
+        const stored = appStorage.get(this.storageKey);
+        if (stored) {
+            const values = { ...this.defaults, ...stored };
+            if (this.validate(values).length === 0) return values;
+        }
+        return { ...this.defaults };
+    }
+
+    // Returns the merged thresholds, or throws with every validation message joined
+    save(values) {
+        const merged = { ...this.defaults, ...values };
+        const errors = this.validate(merged);
+        if (errors.length > 0) throw new Error(errors.join(' '));
+
+        const overrides = {};
+        STRATEGY_SETTINGS_SCHEMA.forEach(field => { overrides[field.key] = merged[field.key]; });
+        appStorage.set(this.storageKey, overrides);
+        return merged;
+    }
+
+    reset() {
+        appStorage.remove(this.storageKey);
+        return { ...this.defaults };
+    }
+
+    validate(values) {
+        const errors = [];
+
+        STRATEGY_SETTINGS_SCHEMA.forEach(field => {
+            const value = values[field.key];
+            if (typeof value !== 'number' || !isFinite(value)) {
+                errors.push(`${field.label} must be a number.`);
+            } else if (value < field.min || value > field.max) {
+                errors.push(`${field.label} must be between ${field.min} and ${field.max}.`);
+            } else if (field.integer && !Number.isInteger(value)) {
+                errors.push(`${field.label} must be a whole number.`);
+            }
+        });
+
+        if (values.RSI_OVERSOLD >= values.RSI_OVERBOUGHT) {
+            errors.push('RSI oversold level must be below the overbought level.');
+        }
+        if (values.PE_ATTRACTIVE >= values.PE_EXPENSIVE) {
+            errors.push('Attractive PE must be below expensive PE.');
+        }
+        if (values.EMA_PERIOD_20 >= values.EMA_PERIOD_50) {
+            errors.push('Fast EMA period must be shorter than the slow EMA period.');
+        }
+
+        return errors;
+    }
+}
@@ -0,0 +1,450 @@
+// Signal engine for the Nifty EMA Tracker
+//
+// The DOM-free core of the tracker: moving averages, RSI, EMA crossovers and trend, and the
+// value/momentum/combined signal rules. NiftyEMATracker builds on it in the browser and
+// nifty-signal.js runs it under Node, so the dashboard and the command line read signals the
+// same way. Custom strategies (rules.js) vote when a CustomStrategyStore is attached, and the
+// momentum strategy can be made to wait for weekly/monthly agreement (momentumConfirmation).
+const DEFAULT_THRESHOLDS = {
+    RSI_OVERSOLD: 30,
+    RSI_OVERBOUGHT: 70,
+    PE_ATTRACTIVE: 21,
+    PE_EXPENSIVE: 25,
+    CORRECTION_THRESHOLD: 10,
+    EMA_PERIOD_20: 20,
+    EMA_PERIOD_50: 50,
+    RSI_PERIOD: 14,
+    DMA_PERIOD: 200
+};
+
+// Timeframes daily bars are resampled into
+const HIGHER_TIMEFRAMES = {
+    weekly: 'Weekly',
+    monthly: 'Monthly'
+};
+
+// Higher timeframes whose trend must also be bullish for a momentum BUY
+const MOMENTUM_CONFIRMATIONS = {
+    '': [],
+    weekly: ['weekly'],
+    monthly: ['monthly'],
+    both: ['weekly', 'monthly']
+};
+
+class SignalEngine {
+    constructor(thresholds = DEFAULT_THRESHOLDS) {
+        this.DEFAULT_THRESHOLDS = DEFAULT_THRESHOLDS;
+        this.THRESHOLDS = { ...DEFAULT_THRESHOLDS, ...thresholds };
+        this.customStrategies = null;
+        // A key of MOMENTUM_CONFIRMATIONS; snapshots then need timeframes: { weekly, monthly } trends
+        this.momentumConfirmation = '';
+    }
+
+    calculateEMA(prices, period) {
+        if (prices.length < period) return [];
+        
+        const k = 2 / (period + 1);
+        const emaValues = [];
+        
+        // Start with SMA for the first value
+        let sma = 0;
+        for (let i = 0; i < period; i++) {
+            sma += prices[i];
+        }
+        sma = sma / period;
+        emaValues.push(sma);
+        
+        // Calculate EMA for remaining values
+        for (let i = period; i < prices.length; i++) {
+            const ema = (prices[i] * k) + (emaValues[emaValues.length - 1] * (1 - k));
+            emaValues.push(ema);
+        }
+        
+        return emaValues;
+    }
+
+    // Simple moving average; the first value lines up with prices[period - 1]
+    calculateSMA(prices, period) {
+        if (prices.length < period) return [];
+        
+        const smaValues = [];
+        let sum = 0;
+        for (let i = 0; i < prices.length; i++) {
+            sum += prices[i];
+            if (i >= period) sum -= prices[i - period];
+            if (i >= period - 1) smaValues.push(sum / period);
+        }
+        
+        return smaValues;
+    }
+
+    // Wilder-smoothed RSI; the first value lines up with prices[period]
+    calculateRSI(prices, period) {
+        if (prices.length <= period) return [];
+        
+        let avgGain = 0;
+        let avgLoss = 0;
+        for (let i = 1; i <= period; i++) {
+            const change = prices[i] - prices[i - 1];
+            if (change > 0) avgGain += change;
+            else avgLoss -= change;
+        }
+        avgGain = avgGain / period;
+        avgLoss = avgLoss / period;
+        
+        const toRSI = (gain, loss) => {
+            if (loss === 0) return gain === 0 ? 50 : 100;
+            return 100 - (100 / (1 + gain / loss));
+        };
+        
+        const rsiValues = [toRSI(avgGain, avgLoss)];
+        
+        for (let i = period + 1; i < prices.length; i++) {
+            const change = prices[i] - prices[i - 1];
+            const gain = change > 0 ? change : 0;
+            const loss = change < 0 ? -change : 0;
+            avgGain = (avgGain * (period - 1) + gain) / period;
+            avgLoss = (avgLoss * (period - 1) + loss) / period;
+            rsiValues.push(toRSI(avgGain, avgLoss));
+        }
+        
+        return rsiValues;
+    }
+
+    // ema[k] lines up with bars[k + period - 1], so both series are indexed from the bar index
+    findCrossovers(bars, fastEMA, slowEMA, fastPeriod, slowPeriod) {
+        const crossovers = [];
+        
+        for (let i = slowPeriod; i < bars.length; i++) {
+            const current20 = fastEMA[i - fastPeriod + 1];
+            const current50 = slowEMA[i - slowPeriod + 1];
+            const prev20 = fastEMA[i - fastPeriod];
+            const prev50 = slowEMA[i - slowPeriod];
+            
+            if (!current20 || !current50 || !prev20 || !prev50) continue;
+            
+            let crossoverType = null;
+            
+            // Bullish crossover: 20 EMA crosses above 50 EMA
+            if (prev20 <= prev50 && current20 > current50) {
+                crossoverType = 'BULLISH_CROSS';
+            }
+            // Bearish crossover: 20 EMA crosses below 50 EMA
+            else if (prev20 >= prev50 && current20 < current50) {
+                crossoverType = 'BEARISH_CROSS';
+            }
+            
+            if (crossoverType) {
+                crossovers.push({
+                    date: bars[i].date,
+                    // Intraday bars also carry the bar's timestamp
+                    ...(bars[i].time ? { time: bars[i].time } : {}),
+                    type: crossoverType,
+                    price: bars[i].close,
+                    ema20: current20,
+                    ema50: current50
+                });
+            }
+        }
+        
+        return crossovers;
+    }
+
+    buildEMATrend(current20, current50, lastCrossover, asOf) {
+        const trend = current20 > current50 ? 'BULLISH' : 'BEARISH';
+            
+        let daysSinceCross = null;
+        if (lastCrossover) {
+            const crossDate = new Date(lastCrossover.date);
+            daysSinceCross = Math.floor((asOf - crossDate) / (1000 * 60 * 60 * 24));
+        }
+        
+        return {
+            trend,
+            ema20: current20,
+            ema50: current50,
+            lastCrossover,
+            daysSinceCross
+        };
+    }
+
+    // First day of the week (Monday) or month a YYYY-MM-DD date falls in
+    periodStart(date, timeframe) {
+        if (timeframe === 'monthly') return `${date.slice(0, 7)}-01`;
+        
+        const day = new Date(`${date}T00:00:00Z`);
+        day.setUTCDate(day.getUTCDate() - (day.getUTCDay() + 6) % 7);
+        return day.toISOString().split('T')[0];
+    }
+
+    // Daily bars rolled up into weekly or monthly bars, dated by period start. `earlier` bars at
+    // that timeframe (a long provider history) stand in for the periods up to the first daily one,
+    // whose daily bars may not cover the whole period.
+    resampleBars(bars, timeframe, earlier = []) {
+        const periods = new Map();
+        const firstPeriod = bars.length > 0 ? this.periodStart(bars[0].date, timeframe) : '';
+        const sources = [
+            ...earlier.filter(bar => bars.length === 0 || this.periodStart(bar.date, timeframe) <= firstPeriod),
+            ...bars.filter(bar => earlier.length === 0 || this.periodStart(bar.date, timeframe) > firstPeriod)
+        ];
+        
+        sources.forEach(bar => {
+            const date = this.periodStart(bar.date, timeframe);
+            const period = periods.get(date);
+            if (!period) {
+                periods.set(date, { date, open: bar.open ?? bar.close, high: bar.high ?? bar.close, low: bar.low ?? bar.close, close: bar.close, volume: bar.volume ?? null });
+                return;
+            }
+            period.high = Math.max(period.high, bar.high ?? bar.close);
+            period.low = Math.min(period.low, bar.low ?? bar.close);
+            period.close = bar.close;
+            if (bar.volume !== null && bar.volume !== undefined) period.volume = (period.volume || 0) + bar.volume;
+        });
+        
+        return [...periods.values()].sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    // Fast/slow EMA trend and last crossover of one bar series, at any timeframe
+    analyzeTimeframe(bars, asOf = new Date()) {
+        const closes = bars.map(bar => bar.close);
+        const fastPeriod = this.THRESHOLDS.EMA_PERIOD_20;
+        const slowPeriod = this.THRESHOLDS.EMA_PERIOD_50;
+        
+        const ema20 = this.calculateEMA(closes, fastPeriod);
+        const ema50 = this.calculateEMA(closes, slowPeriod);
+        if (ema20.length === 0 || ema50.length === 0) {
+            return { trend: 'UNKNOWN', ema20: null, ema50: null, lastCrossover: null, daysSinceCross: null };
+        }
+        
+        const crossovers = this.findCrossovers(bars, ema20, ema50, fastPeriod, slowPeriod);
+        return this.buildEMATrend(
+            ema20[ema20.length - 1],
+            ema50[ema50.length - 1],
+            crossovers.length > 0 ? crossovers[crossovers.length - 1] : null,
+            asOf
+        );
+    }
+
+    // Weekly and monthly trend of a daily series; longHistory ({ weekly, monthly } bars at those
+    // timeframes) covers the periods before the daily series starts
+    higherTimeframeTrends(bars, longHistory = {}) {
+        const trends = {};
+        Object.keys(HIGHER_TIMEFRAMES).forEach(timeframe => {
+            trends[timeframe] = this.analyzeTimeframe(this.resampleBars(bars, timeframe, (longHistory || {})[timeframe] || [])).trend;
+        });
+        return trends;
+    }
+
+    // The timeframe's trend as it read at each daily close, with that bar's period still forming
+    // (for the backtester); null until the slow EMA has a completed period behind it
+    timeframeTrendSeries(bars, timeframe, earlier = []) {
+        const periods = this.resampleBars(bars, timeframe, earlier);
+        const indexByDate = new Map(periods.map((period, index) => [period.date, index]));
+        const closes = periods.map(period => period.close);
+        const fastPeriod = this.THRESHOLDS.EMA_PERIOD_20;
+        const slowPeriod = this.THRESHOLDS.EMA_PERIOD_50;
+        const ema20 = this.calculateEMA(closes, fastPeriod);
+        const ema50 = this.calculateEMA(closes, slowPeriod);
+        const extend = (values, period, index, close) => {
+            const k = 2 / (period + 1);
+            return close * k + values[index - period] * (1 - k);
+        };
+        
+        return bars.map(bar => {
+            const index = indexByDate.get(this.periodStart(bar.date, timeframe));
+            if (index === undefined || index < slowPeriod) return null;
+            return extend(ema20, fastPeriod, index, bar.close) > extend(ema50, slowPeriod, index, bar.close) ? 'BULLISH' : 'BEARISH';
+        });
+    }
+
+    // Daily bars with a live quote folded in as the latest (still forming) bar
+    foldQuoteIntoBars(bars, data) {
+        const series = bars.slice();
+        if (!data || !data.market_date || series.length === 0) return series;
+        
+        const lastBar = series[series.length - 1];
+        if (data.market_date === lastBar.date) {
+            series[series.length - 1] = { ...lastBar, close: data.current_price };
+        } else if (data.market_date > lastBar.date) {
+            series.push({
+                date: data.market_date,
+                close: data.current_price,
+                high: data.day_high || data.current_price,
+                low: data.day_low || data.current_price,
+                open: data.open,
+                volume: null
+            });
+        }
+        
+        return series;
+    }
+
+    // EMA trend, RSI and signals for any symbol's bars (used by the watchlist and nifty-signal.js)
+    // longHistory is only needed when momentumConfirmation asks for higher timeframes
+    analyzeBars(bars, { price, allTimeHigh, peRatio, asOf = new Date(), longHistory = {} }) {
+        const closes = bars.map(bar => bar.close);
+        const rsi = this.calculateRSI(closes, this.THRESHOLDS.RSI_PERIOD);
+        const emaTrend = this.analyzeTimeframe(bars, asOf);
+        
+        const peak = Math.max(allTimeHigh || 0, ...bars.map(bar => bar.high || bar.close));
+        const correction = peak > 0 ? ((price - peak) / peak) * 100 : 0;
+        const latestRSI = rsi.length > 0 ? rsi[rsi.length - 1] : null;
+        
+        return {
+            emaTrend,
+            rsi: latestRSI,
+            allTimeHigh: peak,
+            correction,
+            signals: this.evaluateSignals({
+                price,
+                correction,
+                all_time_high: peak,
+                rsi: latestRSI,
+                pe_ratio: peRatio,
+                timeframes: (MOMENTUM_CONFIRMATIONS[this.momentumConfirmation] || []).length > 0
+                    ? this.higherTimeframeTrends(bars, longHistory)
+                    : null,
+                emaTrend
+            })
+        };
+    }
+
+    // Evaluate all strategies against a market snapshot (live, or a past date in the backtester)
+    evaluateSignals(snapshot) {
+        // Value Strategy (Original)
+        const valueConditions = {
+            correction: snapshot.correction <= -this.THRESHOLDS.CORRECTION_THRESHOLD,
+            rsi: snapshot.rsi !== null && snapshot.rsi < this.THRESHOLDS.RSI_OVERSOLD,
+            pe: snapshot.pe_ratio !== null && snapshot.pe_ratio < this.THRESHOLDS.PE_ATTRACTIVE
+        };
+        
+        const valueSignal = Object.values(valueConditions).every(c => c) ? 'BUY' : 'WAIT';
+        
+        // Momentum Strategy (EMA)
+        const emaTrend = snapshot.emaTrend;
+        const momentumConditions = {
+            bullishTrend: emaTrend.trend === 'BULLISH',
+            recentCross: emaTrend.lastCrossover && 
+                        emaTrend.lastCrossover.type === 'BULLISH_CROSS' && 
+                        emaTrend.daysSinceCross < 30,
+            priceAboveEMAs: snapshot.price > emaTrend.ema20 && 
+                           snapshot.price > emaTrend.ema50
+        };
+        
+        // Optionally the weekly/monthly trend must agree before a daily uptrend counts
+        const confirmations = MOMENTUM_CONFIRMATIONS[this.momentumConfirmation] || [];
+        if (confirmations.length > 0) {
+            momentumConditions.higherTimeframes = confirmations.every(timeframe =>
+                Boolean(snapshot.timeframes) && snapshot.timeframes[timeframe] === 'BULLISH');
+        }
+        
+        const momentumSignal = momentumConditions.bullishTrend && momentumConditions.higherTimeframes !== false ? 'BUY' : 
+                              (emaTrend.trend === 'BEARISH' ? 'AVOID' : 'WAIT');
+        
+        // Custom Strategies (rules.js)
+        const custom = this.customStrategies ? this.customStrategies.evaluate(this.buildRuleContext(snapshot)) : [];
+        
+        // Combined Signal: weighted vote, built-in strategies count 1 each
+        const votes = [
+            { signal: valueSignal, weight: 1 },
+            { signal: momentumSignal, weight: 1 },
+            ...custom.map(strategy => ({ signal: strategy.signal, weight: strategy.weight }))
+        ];
+        const totalWeight = votes.reduce((sum, vote) => sum + vote.weight, 0);
+        const buyShare = votes.filter(vote => vote.signal === 'BUY').reduce((sum, vote) => sum + vote.weight, 0) / totalWeight;
+        
+        let combinedSignal = 'WAIT';
+        if (buyShare === 1) {
+            combinedSignal = 'STRONG BUY';
+        } else if (buyShare >= 0.5) {
+            combinedSignal = 'BUY';
+        } else if (momentumSignal === 'AVOID') {
+            combinedSignal = 'AVOID';
+        }
+        
+        return {
+            value: {
+                signal: valueSignal,
+                conditions: valueConditions,
+                description: this.getValueStrategyDescription(valueConditions)
+            },
+            momentum: {
+                signal: momentumSignal,
+                conditions: momentumConditions,
+                description: this.getMomentumStrategyDescription(emaTrend, momentumConditions),
+                trend: emaTrend
+            },
+            custom,
+            combined: {
+                signal: combinedSignal,
+                buyShare,
+                description: this.getCombinedDescription(combinedSignal, custom.length > 0)
+            }
+        };
+    }
+
+    // Variables available to custom strategy rules (see RULE_VARIABLES in rules.js)
+    buildRuleContext(snapshot) {
+        const emaTrend = snapshot.emaTrend;
+        const value = input => (typeof input === 'number' && isFinite(input) ? input : null);
+        
+        return {
+            close: value(snapshot.price),
+            open: value(snapshot.open),
+            high: value(snapshot.high),
+            low: value(snapshot.low),
+            prev_close: value(snapshot.previous_close),
+            rsi: value(snapshot.rsi),
+            dma_200: value(snapshot.dma_200),
+            ema20: value(emaTrend.ema20),
+            ema50: value(emaTrend.ema50),
+            correction: value(snapshot.correction),
+            ath: value(snapshot.all_time_high),
+            high_52w: value(snapshot.high_52w),
+            low_52w: value(snapshot.low_52w),
+            pe: value(snapshot.pe_ratio),
+            trend_bullish: emaTrend.trend === 'UNKNOWN' ? null : (emaTrend.trend === 'BULLISH' ? 1 : 0),
+            days_since_cross: value(emaTrend.daysSinceCross),
+            ...Object.fromEntries(Object.entries(snapshot.technical || {}).map(([name, reading]) => [name, value(reading)]))
+        };
+    }
+
+    getValueStrategyDescription(conditions) {
+        const metCount = Object.values(conditions).filter(c => c).length;
+        if (metCount === 3) return 'All value conditions met - Strong buy opportunity';
+        if (metCount === 2) return 'Most value conditions met - Consider buying';
+        if (metCount === 1) return 'Few conditions met - Wait for better entry';
+        return 'No value conditions met - Avoid buying';
+    }
+
+    getMomentumStrategyDescription(trend, conditions = {}) {
+        if (trend.trend === 'BULLISH' && conditions.higherTimeframes === false) {
+            return 'Daily uptrend not confirmed on the higher timeframe - Wait';
+        }
+        if (trend.trend === 'BULLISH') {
+            if (trend.daysSinceCross < 10) {
+                return 'Fresh bullish crossover - Strong momentum';
+            } else if (trend.daysSinceCross < 30) {
+                return 'Bullish trend continues - Good momentum';
+            } else {
+                return 'Extended bullish trend - Monitor for reversal';
+            }
+        } else if (trend.trend === 'BEARISH') {
+            return 'Bearish trend - Avoid new positions';
+        }
+        return 'Trend unclear - Wait for confirmation';
+    }
+
+    getCombinedDescription(signal, hasCustom = false) {
+        switch (signal) {
+            case 'STRONG BUY': return hasCustom
+                ? 'All strategies bullish - Excellent opportunity'
+                : 'Both strategies bullish - Excellent opportunity';
+            case 'BUY': return hasCustom
+                ? 'Weighted majority of strategies bullish - Good opportunity'
+                : 'One strategy bullish - Good opportunity';
+            case 'AVOID': return 'Bearish momentum - Avoid new positions';
+            default: return 'Mixed signals - Wait for clarity';
+        }
+    }
+}
@@ -0,0 +1,321 @@
+// Persistent storage for the Nifty EMA Tracker
+//
+// Everything the app keeps between visits goes through one TrackerStorage instance, appStorage.
+// Records live in IndexedDB and are mirrored in memory so reads stay synchronous; writes update
+// the mirror at once and reach the database in the background. Daily bar series are stored one
+// record per bar, keyed by series and date, rather than as one JSON blob. Other open tabs are
+// told about every write over a BroadcastChannel so their mirrors stay in step.
+//
+// Each record carries the schema version it was written with. When storage opens, older records
+// are upgraded step by step through STORAGE_MIGRATIONS, including the localStorage entries earlier
+// releases wrote, which are moved over once and then removed. Without IndexedDB (some private
+// browsing modes) the same API runs on localStorage. The service worker loads this file too; it
+// has no localStorage, so there records only ever come from IndexedDB.
+const STORAGE_SCHEMA_VERSION = 4;
+
+// Per-symbol keys that releases before the watchlist wrote without a symbol; they held the Nifty 50
+const STORAGE_LEGACY_SYMBOL_KEYS = ['nifty_current', 'nifty_historical', 'nifty_ema', 'nifty_indicators', 'nifty_ath', 'nifty_ledger'];
+
+// Upgrade a record from the version it is keyed by to the next one; a step returns { key, record }
+// and may move the record to another key
+const STORAGE_MIGRATIONS = {
+    // 1: bare localStorage values (symbol, DMA mode, provider config) gain the record envelope
+    1: (record, key) => ({ key, record }),
+    // 2: the { data, timestamp, version: '2.0' } localStorage envelope; only the store changed
+    2: (record, key) => ({ key, record }),
+    // 3: legacy per-symbol records move to the Nifty 50's keys; the daily series is then written to
+    // the per-bar store like any other
+    3: (record, key) => ({ key: STORAGE_LEGACY_SYMBOL_KEYS.includes(key) ? `${key}_^NSEI` : key, record })
+};
+
+class TrackerStorage {
+    constructor(name = 'nifty-tracker') {
+        this.name = name;
+        this.db = null;
+        this.records = new Map();
+        this.errorHandlers = [];
+        this.writes = Promise.resolve();
+        this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(`${name}-storage`) : null;
+        this.channel?.addEventListener('message', event => this.applyRemoteChange(event.data));
+    }
+
+    // Bar series (daily history per symbol) are split into one record per date
+    isSeriesKey(key) {
+        return key.startsWith('nifty_historical_');
+    }
+
+    // Rejects when the database cannot be used and there is no localStorage to fall back to (the
+    // service worker), rather than run on an empty mirror that is never saved
+    async open() {
+        try {
+            if (typeof indexedDB === 'undefined') throw new Error('IndexedDB is not available');
+            this.db = await this.openDatabase();
+            await this.loadDatabase();
+            await this.importLocalStorage();
+        } catch (error) {
+            // Drop whatever the database had loaded so far
+            this.db?.close();
+            this.db = null;
+            this.records.clear();
+            if (typeof localStorage === 'undefined') throw error;
+
+            console.error('IndexedDB unavailable, using localStorage:', error);
+            this.loadLocalStorage();
+        }
+        return this;
+    }
+
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.name, 1);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('records')) db.createObjectStore('records', { keyPath: 'key' });
+                if (!db.objectStoreNames.contains('bars')) {
+                    db.createObjectStore('bars', { keyPath: ['series', 'date'] }).createIndex('series', 'series');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Storage is blocked by another open tab'));
+        });
+    }
+
+    transaction(storeNames, mode, work) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(storeNames, mode);
+            const result = work(tx);
+            tx.oncomplete = () => resolve(result);
+            tx.onabort = () => reject(tx.error || new Error('Storage transaction aborted'));
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    async loadDatabase() {
+        const rows = {};
+        await this.transaction(['records', 'bars'], 'readonly', tx => {
+            tx.objectStore('records').getAll().onsuccess = event => { rows.records = event.target.result; };
+            tx.objectStore('bars').getAll().onsuccess = event => { rows.bars = event.target.result; };
+        });
+
+        const barsBySeries = {};
+        rows.bars.forEach(({ series, ...bar }) => {
+            (barsBySeries[series] = barsBySeries[series] || []).push(bar);
+        });
+
+        const upgraded = [];
+        const moved = [];
+        rows.records.forEach(({ key, ...record }) => {
+            if (record.series) record.data = (barsBySeries[key] || []).sort((a, b) => a.date.localeCompare(b.date));
+            const migrated = this.migrate(record, key);
+            if (!migrated) return;
+            if (migrated.key !== key) {
+                moved.push({ from: key, ...migrated });
+                return;
+            }
+            this.records.set(key, migrated.record);
+            if (migrated.record.version !== record.version) upgraded.push(key);
+        });
+        upgraded.push(...this.adoptMoved(moved));
+        upgraded.forEach(key => this.persist(key));
+    }
+
+    // Tracker keys in localStorage; none in a worker
+    localStorageKeys() {
+        if (typeof localStorage === 'undefined') return [];
+
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith('nifty_')) keys.push(key);
+        }
+        return keys;
+    }
+
+    // Move entries written by localStorage-based releases into the database, once
+    async importLocalStorage() {
+        const keys = this.localStorageKeys();
+        if (keys.length === 0) return;
+
+        const writes = [];
+        const moved = [];
+        keys.forEach(key => {
+            const migrated = this.migrate(this.fromLocalStorage(localStorage.getItem(key)), key);
+            if (!migrated) return;
+            if (migrated.key !== key) {
+                moved.push({ from: key, ...migrated });
+            } else if (!this.records.has(key)) {
+                this.records.set(key, migrated.record);
+                writes.push(this.persist(key));
+            }
+        });
+        this.adoptMoved(moved).forEach(key => writes.push(this.persist(key)));
+        // Only drop the old copies once every write has landed
+        await Promise.all(writes);
+        keys.forEach(key => localStorage.removeItem(key));
+    }
+
+    loadLocalStorage() {
+        const moved = [];
+        this.localStorageKeys().forEach(key => {
+            const migrated = this.migrate(this.fromLocalStorage(localStorage.getItem(key)), key);
+            if (!migrated) return;
+            if (migrated.key !== key) moved.push({ from: key, ...migrated });
+            else this.records.set(key, migrated.record);
+        });
+        this.adoptMoved(moved).forEach(key => this.persist(key));
+    }
+
+    // Records a migration moved ({ from, key, record }) yield to one already stored under the new
+    // key. Returns the keys to write back: the new key where the record was taken, and the old key,
+    // which is no longer in the mirror and so gets removed from the store
+    adoptMoved(moved) {
+        const keys = [];
+        moved.forEach(({ from, key, record }) => {
+            if (!this.records.has(key)) {
+                this.records.set(key, record);
+                keys.push(key);
+            }
+            keys.push(from);
+        });
+        return keys;
+    }
+
+    fromLocalStorage(text) {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            parsed = text;
+        }
+
+        if (parsed && typeof parsed === 'object' && 'data' in parsed && 'version' in parsed) {
+            return { data: parsed.data, timestamp: parsed.timestamp || Date.now(), version: parseInt(parsed.version, 10) || 1 };
+        }
+        return { data: parsed, timestamp: Date.now(), version: 1 };
+    }
+
+    // Returns { key, record } at the current version, or null if the record cannot be upgraded
+    migrate(record, key) {
+        let current = { key, record };
+        while (current.record.version < STORAGE_SCHEMA_VERSION) {
+            const step = STORAGE_MIGRATIONS[current.record.version];
+            if (!step) return null;
+            const next = step(current.record, current.key);
+            current = { key: next.key, record: { ...next.record, version: current.record.version + 1 } };
+        }
+        // Written by a newer release; leave it alone rather than misread it
+        return current.record.version === STORAGE_SCHEMA_VERSION ? current : null;
+    }
+
+    get(key) {
+        const record = this.records.get(key);
+        return record ? record.data : null;
+    }
+
+    // { data, timestamp, version } for callers that care how old a record is
+    getRecord(key) {
+        return this.records.get(key) || null;
+    }
+
+    // Resolves to false if the write did not reach the backing store (already reported through
+    // onError), for callers that must tell the user
+    set(key, data) {
+        this.records.set(key, { data, timestamp: Date.now(), version: STORAGE_SCHEMA_VERSION });
+        const write = this.persist(key);
+        this.channel?.postMessage({ type: 'set', key, record: this.records.get(key) });
+        return write.then(() => true, () => false);
+    }
+
+    // Replace a bar series where only bars from changedFrom (a date) onward differ from what is stored
+    updateSeries(key, bars, changedFrom) {
+        this.records.set(key, { data: bars, timestamp: Date.now(), version: STORAGE_SCHEMA_VERSION });
+        this.persist(key, changedFrom);
+        this.channel?.postMessage({ type: 'set', key, record: this.records.get(key) });
+    }
+
+    remove(key) {
+        this.records.delete(key);
+        this.persist(key);
+        this.channel?.postMessage({ type: 'remove', key });
+    }
+
+    applyRemoteChange(message) {
+        if (message && message.type === 'clear') this.records.clear();
+        if (!message || !message.key) return;
+        if (message.type === 'set') this.records.set(message.key, message.record);
+        if (message.type === 'remove') this.records.delete(message.key);
+    }
+
+    // Queue the current state of a key for the backing store; failures are reported, not thrown
+    persist(key, changedFrom = '') {
+        const write = this.writes.then(() => (this.db ? this.writeDatabase(key, changedFrom) : this.writeLocalStorage(key)));
+        this.writes = write.catch(error => this.reportError(key, error));
+        return write;
+    }
+
+    // Series only rewrite the bars dated changedFrom or later ('' rewrites the whole series)
+    writeDatabase(key, changedFrom = '') {
+        const record = this.records.get(key);
+        const isSeries = this.isSeriesKey(key);
+
+        return this.transaction(['records', 'bars'], 'readwrite', tx => {
+            const records = tx.objectStore('records');
+            const bars = tx.objectStore('bars');
+            if (isSeries) bars.delete(IDBKeyRange.bound([key, changedFrom], [key, '\uffff']));
+
+            if (!record) {
+                records.delete(key);
+            } else if (isSeries && Array.isArray(record.data)) {
+                records.put({ key, series: true, timestamp: record.timestamp, version: record.version });
+                record.data
+                    .filter(bar => bar.date >= changedFrom)
+                    .forEach(bar => bars.put({ ...bar, series: key }));
+            } else {
+                records.put({ key, ...record });
+            }
+        });
+    }
+
+    writeLocalStorage(key) {
+        if (typeof localStorage === 'undefined') return;
+        const record = this.records.get(key);
+        if (record) localStorage.setItem(key, JSON.stringify(record));
+        else localStorage.removeItem(key);
+    }
+
+    reportError(key, error) {
+        const quota = error && (error.name === 'QuotaExceededError' || error.code === 22);
+        const message = quota
+            ? 'Local storage is full. Clear local data or remove imported history.'
+            : `Could not save ${key}: ${error && error.message}`;
+        console.error(message, error);
+        this.errorHandlers.forEach(handler => handler(message, error));
+    }
+
+    onError(handler) {
+        this.errorHandlers.push(handler);
+    }
+
+    // Bytes used and available for this origin, where the browser reports it
+    async estimate() {
+        if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) return null;
+        return navigator.storage.estimate();
+    }
+
+    async clear() {
+        await this.writes;
+        this.records.clear();
+        if (this.db) {
+            await this.transaction(['records', 'bars'], 'readwrite', tx => {
+                tx.objectStore('records').clear();
+                tx.objectStore('bars').clear();
+            });
+        }
+
+        this.localStorageKeys().forEach(key => localStorage.removeItem(key));
+        this.channel?.postMessage({ type: 'clear' });
+    }
+}
+
+const appStorage = new TrackerStorage();
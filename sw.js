@@ -1,13 +1,47 @@
 // Enhanced Service Worker for Nifty EMA Tracker PWA
 const CACHE_NAME = 'nifty-ema-tracker-v2.0';
 const STATIC_CACHE_NAME = 'nifty-static-v2.0';
-const API_CACHE_NAME = 'nifty-api-v2.0';
+const API_CACHE_NAME = 'nifty-api-v2.1';
+
+// Storage, data providers and the signal engine, shared with the page for background refresh
+importScripts(
+    './storage.js',
+    './providers.js',
+    './history-io.js',
+    './history-sync.js',
+    './signal-engine.js',
+    './settings.js',
+    './rules.js',
+    './notifications.js',
+    './alerts.js',
+    './journal.js',
+    './background-refresh.js'
+);
 
 // Static assets to cache
 const STATIC_ASSETS = [
     './',
     './index.html',
     './style.css',
+    './storage.js',
+    './providers.js',
+    './market-calendar.js',
+    './history-io.js',
+    './history-sync.js',
+    './indicators.js',
+    './signal-engine.js',
+    './settings.js',
+    './rules.js',
+    './notifications.js',
+    './alerts.js',
+    './journal.js',
+    './backtest.js',
+    './ledger.js',
+    './watchlist.js',
+    './intraday.js',
+    './timeframes.js',
+    './drawdown.js',
+    './price-chart.js',
     './app.js',
     './manifest.json'
 ];
@@ -107,10 +141,11 @@ function isStaticAsset(url) {
            path.endsWith('.ico');
 }
 
-// Check if request is for API data
+// Check if request is for API data; custom-URL providers serve the same chart path
 function isAPIRequest(url) {
     return url.hostname === 'query1.finance.yahoo.com' ||
            url.hostname === 'finance.yahoo.com' ||
+           url.pathname.includes('/v8/finance/chart/') ||
            API_ENDPOINTS.some(endpoint => url.href.startsWith(endpoint));
 }
 
@@ -179,28 +214,8 @@ async function handleAPIRequest(request) {
         
         // Try network first for fresh data
         try {
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout
-            
-            const networkResponse = await fetch(request, {
-                signal: controller.signal
-            });
-            
-            clearTimeout(timeoutId);
-            
+            const networkResponse = await fetchAndCacheAPI(request, cache);
             if (networkResponse.ok) {
-                // Cache successful response
-                const responseToCache = networkResponse.clone();
-                const headers = new Headers(responseToCache.headers);
-                headers.set('sw-cache-date', new Date().toISOString());
-                
-                const modifiedResponse = new Response(responseToCache.body, {
-                    status: responseToCache.status,
-                    statusText: responseToCache.statusText,
-                    headers: headers
-                });
-                
-                cache.put(request, modifiedResponse);
                 return networkResponse;
             }
         } catch (networkError) {
@@ -208,7 +223,7 @@ async function handleAPIRequest(request) {
         }
         
         // Try cache if network fails
-        const cachedResponse = await cache.match(request);
+        const cachedResponse = await matchCachedAPI(request, cache);
         
         if (cachedResponse) {
             const cacheDate = new Date(cachedResponse.headers.get('sw-cache-date') || 0);
@@ -228,12 +243,139 @@ async function handleAPIRequest(request) {
             });
         }
         
-        // Return fallback data if no cache available
-        return getFallbackAPIResponse(request);
+        // Nothing was ever cached for this query
+        return getNoDataResponse();
         
     } catch (error) {
         console.error('Error handling API request:', error);
-        return getFallbackAPIResponse(request);
+        return getNoDataResponse();
+    }
+}
+
+// API responses are cached per query (symbol, range, interval) rather than per URL. History
+// requests carry period1/period2 bounds that move on every call, so they share one entry per
+// symbol and interval that collects every bar fetched, and are answered with the requested window.
+function apiCacheKey(url) {
+    const range = url.searchParams.has('period1') ? 'period' : (url.searchParams.get('range') || '');
+    const interval = url.searchParams.get('interval') || '';
+    return `${url.origin}${url.pathname}?range=${range}&interval=${interval}`;
+}
+
+async function matchCachedAPI(request, cache) {
+    const url = new URL(request.url);
+    const cachedResponse = await cache.match(apiCacheKey(url));
+    if (!cachedResponse || !url.searchParams.has('period1')) {
+        return cachedResponse;
+    }
+    
+    const from = Number(url.searchParams.get('period1'));
+    const to = Number(url.searchParams.get('period2')) || Infinity;
+    const data = sliceChartData(await cachedResponse.json(), timestamp => timestamp >= from && timestamp <= to);
+    return new Response(JSON.stringify(data), {
+        status: cachedResponse.status,
+        statusText: cachedResponse.statusText,
+        headers: cachedResponse.headers
+    });
+}
+
+// Rebuild a chart response from the bars that pass keep(timestamp)
+function sliceChartData(data, keep) {
+    const result = data.chart && data.chart.result && data.chart.result[0];
+    if (!result || !result.timestamp) {
+        return data;
+    }
+    
+    const indexes = result.timestamp.map((timestamp, index) => index).filter(index => keep(result.timestamp[index]));
+    const quote = result.indicators.quote[0];
+    const sliced = {};
+    Object.keys(quote).forEach(field => {
+        sliced[field] = indexes.map(index => quote[field][index]);
+    });
+    
+    return {
+        chart: {
+            result: [{
+                ...result,
+                timestamp: indexes.map(index => result.timestamp[index]),
+                indicators: { ...result.indicators, quote: [sliced] }
+            }],
+            error: null
+        }
+    };
+}
+
+// Fold a newly fetched history window into the cached one; a bar of the same day is replaced
+function mergeChartData(cached, fetched) {
+    const older = cached.chart && cached.chart.result && cached.chart.result[0];
+    const newer = fetched.chart && fetched.chart.result && fetched.chart.result[0];
+    if (!older || !newer || !older.timestamp || !newer.timestamp) {
+        return fetched;
+    }
+    
+    const fields = ['open', 'high', 'low', 'close', 'volume'];
+    const byDay = new Map();
+    [older, newer].forEach(result => {
+        const quote = result.indicators.quote[0];
+        result.timestamp.forEach((timestamp, index) => {
+            const day = new Date(timestamp * 1000).toISOString().split('T')[0];
+            byDay.set(day, { timestamp, values: fields.map(field => (quote[field] || [])[index] ?? null) });
+        });
+    });
+    const rows = [...byDay.values()].sort((a, b) => a.timestamp - b.timestamp);
+    
+    const quote = {};
+    fields.forEach((field, column) => {
+        quote[field] = rows.map(row => row.values[column]);
+    });
+    return {
+        chart: {
+            result: [{
+                meta: newer.meta,
+                timestamp: rows.map(row => row.timestamp),
+                indicators: { quote: [quote] }
+            }],
+            error: null
+        }
+    };
+}
+
+// Fetch an API request from the network and keep a dated copy of a successful response
+async function fetchAndCacheAPI(request, cache) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout
+    
+    try {
+        const networkResponse = await fetch(request, {
+            signal: controller.signal
+        });
+        
+        if (networkResponse.ok) {
+            const url = new URL(request.url);
+            const key = apiCacheKey(url);
+            const responseToCache = networkResponse.clone();
+            const headers = new Headers(responseToCache.headers);
+            headers.set('sw-cache-date', new Date().toISOString());
+            
+            let body = await responseToCache.text();
+            const cachedResponse = url.searchParams.has('period1') ? await cache.match(key) : null;
+            if (cachedResponse) {
+                try {
+                    body = JSON.stringify(mergeChartData(await cachedResponse.json(), JSON.parse(body)));
+                } catch (error) {
+                    console.error('Could not merge cached history:', error);
+                }
+            }
+            
+            await cache.put(key, new Response(body, {
+                status: responseToCache.status,
+                statusText: responseToCache.statusText,
+                headers: headers
+            }));
+        }
+        
+        return networkResponse;
+    } finally {
+        clearTimeout(timeoutId);
     }
 }
 
@@ -274,39 +416,88 @@ async function handleOtherRequests(request) {
     }
 }
 
-// Generate fallback API response with sample data
-function getFallbackAPIResponse(request) {
-    const fallbackData = {
-        chart: {
-            result: [{
-                meta: {
-                    regularMarketPrice: 24741.00,
-                    previousClose: 24734.30,
-                    regularMarketOpen: 24818.85,
-                    fiftyTwoWeekHigh: 26277.35,
-                    fiftyTwoWeekLow: 21743.65
-                },
-                timestamp: [Math.floor(Date.now() / 1000)],
-                indicators: {
-                    quote: [{
-                        close: [24741.00],
-                        high: [24850.00],
-                        low: [24680.00],
-                        open: [24818.85],
-                        volume: [1500000]
-                    }]
+// Notification click - focus an open dashboard on the relevant section, or open one
+self.addEventListener('notificationclick', event => {
+    event.notification.close();
+    const data = event.notification.data || {};
+    
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+            .then(windowClients => {
+                const client = windowClients.find(item => item.url.startsWith(self.registration.scope));
+                if (client) {
+                    client.postMessage({ type: 'notification-click', symbol: data.symbol, section: data.section });
+                    return client.focus();
                 }
-            }]
+                return self.clients.openWindow(data.url || './');
+            })
+    );
+});
+
+// Background refresh - keep quote, history and notifications current while the app is closed.
+// The page registers the periodic task (and a one-off sync when it goes offline); see app.js.
+self.addEventListener('periodicsync', event => {
+    if (event.tag === BACKGROUND_SYNC_TAG) {
+        event.waitUntil(runBackgroundRefresh());
+    }
+});
+
+self.addEventListener('sync', event => {
+    if (event.tag === BACKGROUND_SYNC_TAG) {
+        event.waitUntil(runBackgroundRefresh());
+    }
+});
+
+let storageReady = null;
+
+async function runBackgroundRefresh() {
+    // A dashboard in view refreshes and notifies by itself
+    const windowClients = await self.clients.matchAll({ type: 'window' });
+    if (windowClients.some(client => client.visibilityState === 'visible')) {
+        return;
+    }
+    
+    try {
+        // Without storage there are no settings, alerts or notification state to refresh with, so
+        // the sync is skipped; a failed open is not kept, so the next sync tries again
+        storageReady = storageReady || appStorage.open().catch(error => {
+            storageReady = null;
+            throw error;
+        });
+        await storageReady;
+        
+        const provider = MarketDataProviders.create(MarketDataProviders.loadConfig());
+        if (provider.request) {
+            // Requests from the worker skip its own fetch handler, so cache them here
+            const cache = await caches.open(API_CACHE_NAME);
+            provider.request = url => fetchAndCacheAPI(new Request(url), cache);
+        }
+        
+        await new BackgroundRefresh().run(provider);
+        console.log('Background refresh complete');
+    } catch (error) {
+        console.error('Background refresh failed:', error);
+        // A failed one-off sync is retried by the browser
+        throw error;
+    }
+}
+
+// Explicit "no data" answer for an API query that was never cached; providers.js reports it as
+// offline rather than reading it as a quote
+function getNoDataResponse() {
+    const noData = {
+        chart: {
+            result: null,
+            error: { code: 'Offline', description: 'No cached data for this request' }
         }
     };
     
-    return new Response(JSON.stringify(fallbackData), {
-        status: 200,
-        statusText: 'OK',
+    return new Response(JSON.stringify(noData), {
+        status: 503,
+        statusText: 'Service Unavailable',
         headers: {
             'Content-Type': 'application/json',
-            'sw-fallback': 'true',
-            'sw-cache-date': new Date().toISOString()
+            'sw-no-data': 'true'
         }
     });
 }
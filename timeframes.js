@@ -0,0 +1,129 @@
+// Multi-timeframe trend for the Nifty EMA Tracker
+//
+// Daily crossovers whipsaw, so the same fast/slow EMA analysis is also run on the daily history
+// resampled into weekly and monthly bars (see resampleBars in signal-engine.js). About 270 daily
+// sessions are only a year of monthly bars, so a long weekly and monthly history is fetched once a
+// day for every watchlist symbol and stored per symbol; it covers the periods before the daily
+// series starts. The trend matrix shows all three timeframes, and the momentum strategy can be set
+// to buy only when the chosen higher timeframes agree. The choice is stored for the service
+// worker's background refresh too.
+const TIMEFRAME_HISTORY = {
+    weekly: { interval: '1wk', range: '10y' },
+    monthly: { interval: '1mo', range: 'max' }
+};
+
+const MOMENTUM_CONFIRMATION_LABELS = {
+    '': 'Daily trend only',
+    weekly: 'Weekly must agree',
+    monthly: 'Monthly must agree',
+    both: 'Weekly and monthly must agree'
+};
+
+class TimeframeView {
+    constructor(tracker, storageKey = 'nifty_momentum_confirmation') {
+        this.tracker = tracker;
+        this.storageKey = storageKey;
+        this.HISTORY_MAX_AGE = 24 * 60 * 60 * 1000; // 1 day
+        const stored = appStorage.get(storageKey);
+        tracker.momentumConfirmation = stored in MOMENTUM_CONFIRMATIONS ? stored : '';
+    }
+
+    setConfirmation(confirmation) {
+        if (!(confirmation in MOMENTUM_CONFIRMATIONS)) return;
+        this.tracker.momentumConfirmation = confirmation;
+        appStorage.set(this.storageKey, confirmation);
+    }
+
+    historyKey(symbol = this.tracker.SYMBOL) {
+        return this.tracker.symbolKey('nifty_timeframe_history', symbol);
+    }
+
+    // { weekly, monthly } long bar series for a symbol, as last fetched
+    getLongHistory(symbol = this.tracker.SYMBOL) {
+        return appStorage.get(this.historyKey(symbol)) || {};
+    }
+
+    // Refetch the long histories for every watchlist symbol once they are a day old. A file
+    // source holds only the dashboard's index, so other symbols are left alone then
+    async refresh() {
+        const tracker = this.tracker;
+        const symbols = tracker.providerConfig.type === 'file'
+            ? [tracker.SYMBOL]
+            : [...new Set([tracker.SYMBOL, ...tracker.WATCHLIST.map(item => item.symbol)])];
+        await Promise.all(symbols.map(symbol => this.refreshSymbol(symbol)));
+    }
+
+    async refreshSymbol(symbol) {
+        const tracker = this.tracker;
+        const record = appStorage.getRecord(this.historyKey(symbol));
+        if (record && Date.now() - record.timestamp < this.HISTORY_MAX_AGE) return;
+
+        const history = { ...(record ? record.data : {}) };
+        let fetched = 0;
+        await Promise.all(Object.entries(TIMEFRAME_HISTORY).map(async ([timeframe, query]) => {
+            try {
+                history[timeframe] = await tracker.provider.getDailyHistory(symbol, query);
+                fetched++;
+            } catch (error) {
+                console.error(`Error fetching ${timeframe} history for ${symbol}:`, error);
+            }
+        }));
+        // Re-saving the old record after failed fetches would mark it fresh for another day
+        if (fetched > 0) appStorage.set(this.historyKey(symbol), history);
+    }
+
+    // Daily bars are the dashboard's, so sample data gives sample trends; callers check for that
+    analyze() {
+        const tracker = this.tracker;
+        const daily = tracker.historicalData;
+        const longHistory = this.getLongHistory();
+        const rows = { daily: { ...tracker.getCurrentEMATrend(), bars: daily.length } };
+
+        Object.keys(HIGHER_TIMEFRAMES).forEach(timeframe => {
+            const bars = tracker.resampleBars(daily, timeframe, longHistory[timeframe] || []);
+            rows[timeframe] = { ...tracker.analyzeTimeframe(bars), bars: bars.length };
+        });
+        return rows;
+    }
+
+    // Trends the momentum strategy's confirmation reads (see evaluateSignals)
+    getTrends() {
+        if ((MOMENTUM_CONFIRMATIONS[this.tracker.momentumConfirmation] || []).length === 0) return null;
+        return this.tracker.higherTimeframeTrends(this.tracker.historicalData, this.getLongHistory());
+    }
+
+    render() {
+        const container = document.getElementById('timeframeMatrix');
+        if (!container) return;
+
+        const tracker = this.tracker;
+        const select = document.getElementById('momentumConfirmation');
+        if (select) select.value = tracker.momentumConfirmation;
+
+        const labels = { daily: 'Daily', ...HIGHER_TIMEFRAMES };
+        const units = { daily: 'sessions', weekly: 'weeks', monthly: 'months' };
+        const rows = Object.entries(this.analyze()).map(([timeframe, analysis]) => {
+            const cross = analysis.lastCrossover;
+            const known = analysis.trend !== 'UNKNOWN';
+            return `
+                <tr>
+                    <td>${labels[timeframe]}</td>
+                    <td class="${known ? (analysis.trend === 'BULLISH' ? 'positive' : 'negative') : 'neutral'}">${known ? analysis.trend : `Needs ${tracker.THRESHOLDS.EMA_PERIOD_50}+ ${units[timeframe]}`}</td>
+                    <td>${known ? `₹${tracker.formatNumber(analysis.ema20)} / ₹${tracker.formatNumber(analysis.ema50)}` : '--'}</td>
+                    <td>${cross ? `${cross.type === 'BULLISH_CROSS' ? 'Bullish' : 'Bearish'} (${cross.date})` : '--'}</td>
+                    <td>${cross ? analysis.daysSinceCross : '--'}</td>
+                    <td>${analysis.bars}</td>
+                </tr>
+            `;
+        }).join('');
+
+        container.innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr><th>Timeframe</th><th>Trend</th><th>Fast / Slow EMA</th><th>Last Cross</th><th>Days Since</th><th>Bars</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+}
@@ -0,0 +1,149 @@
+// Multi-index watchlist for the Nifty EMA Tracker
+//
+// Keeps a quote, daily history and EMA/signal analysis for every symbol in tracker.WATCHLIST,
+// cached under the same per-symbol keys the dashboard uses, and renders the summary table.
+// Clicking a row drills the full dashboard into that symbol.
+class Watchlist {
+    constructor(tracker) {
+        this.tracker = tracker;
+        this.entries = {};
+        this.HISTORY_MAX_AGE = 60 * 60 * 1000; // 1 hour
+        this.bindTable();
+    }
+
+    bindTable() {
+        const table = document.getElementById('watchlistTable');
+        table?.addEventListener('click', event => {
+            const row = event.target.closest('[data-symbol]');
+            if (row && !row.classList.contains('unavailable')) this.tracker.selectSymbol(row.dataset.symbol);
+        });
+    }
+
+    async refresh({ includeHistory = false } = {}) {
+        await Promise.all(this.tracker.WATCHLIST.map(item => this.refreshSymbol(item, includeHistory)));
+        this.render();
+    }
+
+    async refreshSymbol(item, includeHistory) {
+        const tracker = this.tracker;
+        const entry = this.entries[item.symbol] || { ...item, history: [], historyFetchedAt: 0 };
+        this.entries[item.symbol] = entry;
+
+        // The drilled-in symbol is already loaded by the dashboard
+        if (item.symbol === tracker.SYMBOL) {
+            entry.data = tracker.data;
+            entry.history = tracker.historicalData;
+            entry.historyFetchedAt = Date.now();
+        } else if (tracker.providerConfig.type === 'file') {
+            // A file holds one index and is read whatever symbol is asked for, so the other rows
+            // would show (and cache) the dashboard's data under their own keys
+            entry.data = null;
+            entry.history = [];
+            entry.analysis = null;
+            entry.unavailable = 'Not available from file';
+            return;
+        } else {
+            entry.unavailable = null;
+            try {
+                const quote = await tracker.provider.getQuote(item.symbol);
+                entry.data = tracker.snapshotFromQuote(quote, item.symbol);
+                tracker.cacheData(tracker.symbolKey('nifty_current', item.symbol), entry.data);
+                entry.error = null;
+            } catch (error) {
+                console.error(`Error fetching quote for ${item.symbol}:`, error);
+                // Whatever quote we still have is now cached, not live
+                const record = entry.data ? { data: entry.data, timestamp: Date.now() } : this.loadCached('nifty_current', item.symbol, true);
+                entry.data = record ? { ...record.data, ...tracker.cachedProvenance(record) } : null;
+                entry.error = error.message;
+            }
+
+            if (entry.history.length === 0) {
+                const cached = this.loadCached('nifty_historical', item.symbol, true);
+                if (cached) {
+                    entry.history = cached.data;
+                    entry.historyFetchedAt = cached.timestamp;
+                }
+            }
+
+            if (includeHistory || Date.now() - entry.historyFetchedAt > this.HISTORY_MAX_AGE) {
+                try {
+                    entry.history = (await tracker.syncDailyHistory(item.symbol)).bars;
+                    entry.historyFetchedAt = Date.now();
+                } catch (error) {
+                    console.error(`Error fetching history for ${item.symbol}:`, error);
+                }
+            }
+        }
+
+        if (entry.data && entry.history.length > 0) {
+            entry.analysis = tracker.analyzeBars(tracker.foldQuoteIntoBars(entry.history, entry.data), {
+                price: entry.data.current_price,
+                allTimeHigh: entry.data.all_time_high,
+                peRatio: entry.data.pe_ratio,
+                longHistory: tracker.timeframes.getLongHistory(item.symbol)
+            });
+        }
+    }
+
+    loadCached(key, symbol, withTimestamp = false) {
+        const record = appStorage.getRecord(this.tracker.symbolKey(key, symbol));
+        if (!record) return null;
+        return withTimestamp ? record : record.data;
+    }
+
+    render() {
+        const table = document.getElementById('watchlistTable');
+        if (!table) return;
+
+        const tracker = this.tracker;
+        const status = tracker.marketCalendar.getStatus();
+        const rows = tracker.WATCHLIST.map(item => {
+            const entry = this.entries[item.symbol] || item;
+            const data = entry.data;
+            const analysis = entry.analysis;
+            const isActive = item.symbol === tracker.SYMBOL;
+
+            if (!data) {
+                return `
+                    <tr data-symbol="${item.symbol}" class="watchlist-row ${isActive ? 'active' : ''} ${entry.unavailable ? 'unavailable' : ''}">
+                        <td>${item.name}</td>
+                        <td colspan="5" class="card-meta">${entry.unavailable || (entry.error ? 'Unavailable' : 'Loading...')}</td>
+                    </tr>
+                `;
+            }
+
+            const provenance = tracker.describeProvenance(
+                isActive ? tracker.getDerivedProvenance() : tracker.getQuoteProvenance(data), status);
+            const badge = provenance.tone === 'live'
+                ? ''
+                : ` <span class="data-badge ${provenance.tone}" title="${provenance.label}">${provenance.tone}</span>`;
+            const change = (data.current_price - data.previous_close) / data.previous_close * 100;
+            const trend = analysis ? analysis.emaTrend : null;
+            // No signal from sample numbers
+            const signal = analysis && provenance.tone !== 'sample' ? analysis.signals.combined.signal : '--';
+            const crossText = trend && trend.lastCrossover
+                ? `${trend.lastCrossover.type === 'BULLISH_CROSS' ? 'Bullish' : 'Bearish'} (${trend.daysSinceCross}d)`
+                : '--';
+
+            return `
+                <tr data-symbol="${item.symbol}" class="watchlist-row ${isActive ? 'active' : ''}">
+                    <td>${item.name}</td>
+                    <td>₹${tracker.formatNumber(data.current_price)}${badge}</td>
+                    <td class="${change >= 0 ? 'positive' : 'negative'}">${change >= 0 ? '+' : ''}${change.toFixed(2)}%</td>
+                    <td class="${trend && trend.trend === 'BULLISH' ? 'positive' : 'negative'}">${trend ? trend.trend : '--'}</td>
+                    <td>${crossText}</td>
+                    <td class="${signal.includes('BUY') ? 'positive' : (signal === 'AVOID' ? 'negative' : 'neutral')}">${signal}</td>
+                </tr>
+            `;
+        }).join('');
+
+        table.innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr><th>Index</th><th>Price</th><th>Change</th><th>EMA Trend</th><th>Last Cross</th><th>Signal</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+}